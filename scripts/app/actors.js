@@ -0,0 +1,108 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+export const ACTOR_ART = {
+  PORTRAIT: "portrait",
+  TOKEN: "token"
+};
+
+const FOLDER_PREFIX = "folder:";
+const PACK_PREFIX = "pack:";
+
+export function getActorSourceConfig() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.ACTOR_SOURCES) ?? {};
+  const sources = Array.isArray(stored.sources)
+    ? stored.sources.filter((id) => typeof id === "string" && (id.startsWith(FOLDER_PREFIX) || id.startsWith(PACK_PREFIX)))
+    : [];
+  const art = Object.values(ACTOR_ART).includes(stored.art) ? stored.art : ACTOR_ART.PORTRAIT;
+  return { sources, art };
+}
+
+export async function setActorSourceConfig(changes) {
+  const next = { ...getActorSourceConfig(), ...changes };
+  await game.settings.set(MODULE_ID, SETTING_KEYS.ACTOR_SOURCES, next);
+  return next;
+}
+
+/** Actor folders and Actor compendiums the GM can pick from, flagged with the current choice. */
+export function getActorSourceOptions(config = getActorSourceConfig()) {
+  const chosen = new Set(config.sources);
+  const folders = (game.folders?.contents ?? [])
+    .filter((folder) => folder.type === "Actor")
+    .map((folder) => ({
+      id: `${FOLDER_PREFIX}${folder.id}`,
+      label: folder.depth > 1 ? `${"— ".repeat(folder.depth - 1)}${folder.name}` : folder.name,
+      selected: chosen.has(`${FOLDER_PREFIX}${folder.id}`)
+    }));
+  const packs = (game.packs?.contents ?? Array.from(game.packs ?? []))
+    .filter((pack) => pack.documentName === "Actor")
+    .map((pack) => ({
+      id: `${PACK_PREFIX}${pack.collection}`,
+      label: pack.title ?? pack.metadata?.label ?? pack.collection,
+      selected: chosen.has(`${PACK_PREFIX}${pack.collection}`)
+    }));
+  return { folders, packs };
+}
+
+function isPlaceholderArt(path) {
+  if (!path) return true;
+  const defaults = [CONST?.DEFAULT_TOKEN, foundry?.documents?.BaseActor?.DEFAULT_ICON].filter(Boolean);
+  return defaults.includes(path);
+}
+
+function pickArt(data, art) {
+  const portrait = data.img ?? null;
+  const token = foundry.utils.getProperty(data, "prototypeToken.texture.src") ?? null;
+  const [first, second] = art === ACTOR_ART.TOKEN ? [token, portrait] : [portrait, token];
+  if (first && !isPlaceholderArt(first)) return first;
+  if (second && !isPlaceholderArt(second)) return second;
+  return null;
+}
+
+function folderActors(folderId) {
+  const folder = game.folders?.get(folderId);
+  if (!folder) return [];
+  const folders = [folder, ...(folder.getSubfolders?.(true) ?? [])];
+  return folders.flatMap((entry) => entry.contents ?? []);
+}
+
+async function packActors(collection) {
+  const pack = game.packs?.get(collection);
+  if (!pack) return [];
+  const index = await pack.getIndex({ fields: ["img", "prototypeToken.texture.src"] });
+  return Array.from(index).map((entry) => ({
+    ...entry,
+    uuid: entry.uuid ?? `Compendium.${pack.collection}.Actor.${entry._id}`
+  }));
+}
+
+/**
+ * Image entries for every actor in the chosen sources. Actors without custom art are skipped so the
+ * default silhouette does not collapse many actors onto one path.
+ */
+export async function loadActorEntries(config = getActorSourceConfig()) {
+  const unique = new Map();
+  for (const source of config.sources) {
+    const actors = source.startsWith(FOLDER_PREFIX)
+      ? folderActors(source.slice(FOLDER_PREFIX.length))
+      : await packActors(source.slice(PACK_PREFIX.length));
+
+    for (const actor of actors) {
+      const path = pickArt(actor, config.art);
+      if (!path || unique.has(path)) continue;
+      unique.set(path, {
+        path,
+        preview: path,
+        name: actor.name,
+        actorUuid: actor.uuid
+      });
+    }
+  }
+  return Array.from(unique.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function openActorSheet(uuid) {
+  const actor = await fromUuid(uuid);
+  if (!actor?.sheet) return null;
+  await actor.sheet.render(true);
+  return actor.sheet;
+}
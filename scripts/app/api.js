@@ -0,0 +1,105 @@
+import { HOOKS } from "./constants.js";
+import { ImageFolderBrowser } from "./image-browser.js";
+import { ImageViewer } from "./image-viewer.js";
+import { getSessionLog, writeRecap } from "./session-log.js";
+
+/**
+ * Public scripting API, published as `game.modules.get("social-encounters").api`.
+ *
+ * Navigation calls follow the same rules as the viewer controls: the presenter drives every
+ * client, everyone else can only move on their own screen when the navigation mode allows it. Calls that
+ * change the viewer resolve with the state from `getState()`, or `null` when nothing is open.
+ *
+ * Hooks fired on every client that has the viewer open, each with that client's state:
+ * - `socialEncounters.show` (state) once the viewer has rendered.
+ * - `socialEncounters.indexChanged` (state, { previous }) when another image comes into focus.
+ * - `socialEncounters.backgroundChanged` (state, { previous }) when the background changes.
+ * - `socialEncounters.close` (state) after the viewer has been removed.
+ *
+ * `getSessionLog()` lists what this client has presented since the last recap, and
+ * `writeRecap({ journalId, clear })` writes it to a journal entry (a new one without `journalId`).
+ */
+export function createApi() {
+  return Object.freeze({
+    hooks: HOOKS,
+    openBrowser,
+    show,
+    next,
+    previous,
+    goTo,
+    setBackground,
+    setAutoplay,
+    prefetch,
+    close,
+    getState,
+    getSessionLog,
+    writeRecap
+  });
+}
+
+function openBrowser() {
+  return ImageFolderBrowser.show();
+}
+
+/**
+ * Open the viewer with a list of image or video paths. When called by a user allowed to present,
+ * and nobody else is presenting, the viewer is shown to `recipients` (an array of user ids, or
+ * `null` for everyone) and the caller becomes the presenter.
+ */
+async function show({ images, background = null, index = 0, recipients = null } = {}) {
+  const viewer = await ImageViewer.show({
+    images,
+    background,
+    startIndex: index,
+    recipients,
+    broadcast: true
+  });
+  return viewer?.getState() ?? null;
+}
+
+function next() {
+  ImageViewer.active?.next();
+  return getState();
+}
+
+function previous() {
+  ImageViewer.active?.previous();
+  return getState();
+}
+
+function goTo(index) {
+  if (!Number.isInteger(index)) throw new TypeError("goTo expects an integer index");
+  ImageViewer.active?.goTo(index);
+  return getState();
+}
+
+function setBackground(path = null) {
+  if (!ImageViewer.active?.isPresenting) return getState();
+  ImageViewer.active?.setBackground(path);
+  return getState();
+}
+
+/**
+ * Start, pause or configure the timed slideshow: `{ playing, interval, loop, durations }`,
+ * where `interval` and the per-slide `durations` (keyed by slide index) are in seconds.
+ */
+function setAutoplay(options = {}) {
+  if (!ImageViewer.active?.isPresenting) return getState();
+  ImageViewer.active?.setAutoplay(options);
+  return getState();
+}
+
+/** Preload every image in the running set on each recipient's client. Presenter only. */
+function prefetch() {
+  if (!ImageViewer.active?.isPresenting) return getState();
+  ImageViewer.active?.prefetchAll();
+  return getState();
+}
+
+async function close() {
+  await ImageViewer.closeActive({ broadcast: true });
+}
+
+function getState() {
+  return ImageViewer.active?.getState() ?? null;
+}
@@ -0,0 +1,142 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+const FADE_MS = 1500;
+const DEFAULT_CUE_VOLUME = 0.8;
+
+function clampVolume(value, fallback = DEFAULT_CUE_VOLUME) {
+  const volume = Number(value);
+  return Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : fallback;
+}
+
+/**
+ * A stored cue points at either a Playlist sound (by uuid) or a plain audio file. The
+ * Playlist sound wins when both are set so edits to the playlist carry through.
+ */
+function normalizeCue(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const playlistSound = typeof raw.playlistSound === "string" && raw.playlistSound.trim() ? raw.playlistSound.trim() : null;
+  const src = typeof raw.src === "string" && raw.src.trim() ? raw.src.trim() : null;
+  if (!playlistSound && !src) return null;
+  return { playlistSound, src, volume: clampVolume(raw.volume), loop: raw.loop !== false };
+}
+
+export function getAudioCues() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.AUDIO_CUES);
+  if (!stored || typeof stored !== "object") return {};
+  const cues = {};
+  for (const [path, raw] of Object.entries(stored)) {
+    const cue = normalizeCue(raw);
+    if (cue) cues[path] = cue;
+  }
+  return cues;
+}
+
+export function getAudioCue(path) {
+  return getAudioCues()[path] ?? null;
+}
+
+export async function setAudioCue(path, cue) {
+  if (!game.user?.isGM || typeof path !== "string" || !path) return null;
+  const cues = getAudioCues();
+  const next = normalizeCue(cue);
+  if (next) cues[path] = next;
+  else delete cues[path];
+  await game.settings.set(MODULE_ID, SETTING_KEYS.AUDIO_CUES, cues);
+  return next;
+}
+
+/** What a client needs to play a cue: the audio source, resolved from the Playlist sound if any. */
+export function resolveCue(cue) {
+  if (!cue) return null;
+  const sound = cue.playlistSound ? fromUuidSync(cue.playlistSound) : null;
+  const src = sound?.path ?? cue.src;
+  if (!src) return null;
+  return { src, volume: cue.volume, loop: cue.loop };
+}
+
+/** Resolved cues for the given paths, ready to go over the socket. */
+export function publicCues(paths) {
+  const cues = getAudioCues();
+  const resolved = {};
+  for (const path of new Set(paths ?? [])) {
+    const cue = resolveCue(cues[path]);
+    if (cue) resolved[path] = cue;
+  }
+  return resolved;
+}
+
+export function normalizePublicCues(value) {
+  if (!value || typeof value !== "object") return {};
+  const cues = {};
+  for (const [path, raw] of Object.entries(value)) {
+    if (!raw || typeof raw.src !== "string" || !raw.src) continue;
+    cues[path] = { src: raw.src, volume: clampVolume(raw.volume), loop: raw.loop !== false };
+  }
+  return cues;
+}
+
+export function getPlaylistSoundOptions(selected = null) {
+  return (game.playlists?.contents ?? []).map((playlist) => ({
+    label: playlist.name,
+    sounds: (playlist.sounds?.contents ?? []).map((sound) => ({
+      uuid: sound.uuid,
+      name: sound.name,
+      selected: sound.uuid === selected
+    }))
+  })).filter((group) => group.sounds.length);
+}
+
+function cueVolume(cue) {
+  return cue.volume * clampVolume(game.settings.get(MODULE_ID, SETTING_KEYS.AUDIO_CUE_VOLUME), 1);
+}
+
+async function startSound(cue) {
+  const AudioHelper = foundry.audio?.AudioHelper ?? globalThis.AudioHelper;
+  try {
+    const sound = await AudioHelper.play({ src: cue.src, volume: 0, loop: cue.loop, autoplay: true, channel: "environment" }, false);
+    sound?.fade?.(cueVolume(cue), { duration: FADE_MS });
+    return sound ?? null;
+  } catch (error) {
+    console.error(`${MODULE_ID} | Failed to play audio cue ${cue.src}`, error);
+    return null;
+  }
+}
+
+function fadeOut(entry) {
+  void entry.sound
+    .then(async (sound) => {
+      if (!sound) return;
+      await sound.fade?.(0, { duration: FADE_MS });
+      sound.stop();
+    })
+    .catch((error) => console.error(`${MODULE_ID} | Failed to stop audio cue`, error));
+}
+
+/**
+ * Plays one cue per channel (portrait, background) on this client. Changing a channel's cue
+ * crossfades from the old sound to the new one; an unchanged cue keeps playing untouched.
+ */
+export class CuePlayer {
+  #channels = new Map();
+
+  sync(cues) {
+    for (const [channel, cue] of Object.entries(cues)) {
+      const current = this.#channels.get(channel);
+      if ((current?.cue.src ?? null) === (cue?.src ?? null)) continue;
+      if (current) fadeOut(current);
+      if (cue) this.#channels.set(channel, { cue, sound: startSound(cue) });
+      else this.#channels.delete(channel);
+    }
+  }
+
+  refreshVolume() {
+    for (const { cue, sound } of this.#channels.values()) {
+      void sound.then((playing) => playing?.fade?.(cueVolume(cue), { duration: 250 }));
+    }
+  }
+
+  stopAll() {
+    for (const entry of this.#channels.values()) fadeOut(entry);
+    this.#channels.clear();
+  }
+}
@@ -0,0 +1,75 @@
+const DEFAULT_INTERVAL_SECONDS = 8;
+const MIN_INTERVAL_SECONDS = 1;
+const MAX_INTERVAL_SECONDS = 600;
+
+function now() {
+  return game?.time?.serverTime ?? Date.now();
+}
+
+function parseSeconds(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds)) return null;
+  return Math.min(Math.max(seconds, MIN_INTERVAL_SECONDS), MAX_INTERVAL_SECONDS);
+}
+
+export function createAutoplayState() {
+  return {
+    playing: false,
+    interval: DEFAULT_INTERVAL_SECONDS,
+    loop: true,
+    durations: {},
+    startedAt: now(),
+    elapsed: 0
+  };
+}
+
+/**
+ * `durations` holds per-slide overrides in seconds, keyed by slide index so a portrait that
+ * appears twice in the running order can linger differently each time.
+ */
+export function normalizeAutoplay(raw) {
+  const base = createAutoplayState();
+  if (!raw || typeof raw !== "object") return base;
+
+  const durations = {};
+  for (const [key, value] of Object.entries(raw.durations ?? {})) {
+    const index = Number(key);
+    const seconds = value === null || value === "" ? null : parseSeconds(value);
+    if (Number.isInteger(index) && index >= 0 && seconds !== null) durations[index] = seconds;
+  }
+
+  return {
+    playing: Boolean(raw.playing),
+    interval: parseSeconds(raw.interval) ?? base.interval,
+    loop: raw.loop !== false,
+    durations,
+    startedAt: Number.isFinite(raw.startedAt) ? raw.startedAt : base.startedAt,
+    elapsed: Number.isFinite(raw.elapsed) && raw.elapsed >= 0 ? raw.elapsed : 0
+  };
+}
+
+export function slideDuration(state, index) {
+  return (state.durations[index] ?? state.interval) * 1000;
+}
+
+/** Milliseconds the current slide has been on screen, measured on the shared server clock. */
+export function slideElapsed(state) {
+  if (!state.playing) return state.elapsed;
+  return Math.max(now() - state.startedAt, 0);
+}
+
+export function restartSlide(state) {
+  return { ...state, startedAt: now(), elapsed: 0 };
+}
+
+export function pauseAutoplay(state) {
+  return { ...state, playing: false, elapsed: slideElapsed(state) };
+}
+
+export function resumeAutoplay(state) {
+  return { ...state, playing: true, startedAt: now() - state.elapsed };
+}
+
+export function stopAutoplay(state) {
+  return { ...state, playing: false, elapsed: 0 };
+}
@@ -3,13 +3,76 @@ export const SOCKET_CHANNEL = `module.${MODULE_ID}`;
 
 export const SETTING_KEYS = {
   NPC_FOLDER: "npcFolder",
-  BACKGROUND_FOLDER: "backgroundFolder"
+  BACKGROUND_FOLDER: "backgroundFolder",
+  IMAGE_SOURCES: "imageSources",
+  IMAGE_SOURCES_MENU: "imageSourcesMenu",
+  FOLDER_DEPTH: "folderDepth",
+  NAVIGATION_MODE: "navigationMode",
+  PRESETS: "encounterPresets",
+  ACTOR_SOURCES: "actorSources",
+  NAMEPLATES: "nameplates",
+  SHOW_NAMEPLATES: "showNameplates",
+  IMAGE_TAGS: "imageTags",
+  PORTRAIT_TRANSITION: "portraitTransition",
+  BACKGROUND_TRANSITION: "backgroundTransition",
+  TRANSITION_DURATION: "transitionDuration",
+  AUDIO_CUES: "audioCues",
+  AUDIO_CUE_VOLUME: "audioCueVolume",
+  PLAYER_PINGS: "playerPings",
+  DISPLAY_MODE: "displayMode",
+  VIEWER_WINDOW: "viewerWindow",
+  PREFETCH_ON_LAUNCH: "prefetchOnLaunch",
+  PRESENTER_ROLE: "presenterRole",
+  SESSION_LOG: "sessionLog",
+  RECAP_TIMES_SEEN: "recapTimesSeen"
 };
 
 export const SOCKET_EVENTS = {
   SHOW: "show",
   UPDATE: "update",
-  CLOSE: "close"
+  CLOSE: "close",
+  REQUEST_STATE: "requestState",
+  STATE: "state",
+  VIDEO: "video",
+  NAVIGATE: "navigate",
+  VIEW: "view",
+  PING: "ping",
+  PREFETCH: "prefetch",
+  HANDOFF: "handoff"
+};
+
+export const HOOKS = {
+  SHOW: "socialEncounters.show",
+  INDEX_CHANGED: "socialEncounters.indexChanged",
+  BACKGROUND_CHANGED: "socialEncounters.backgroundChanged",
+  CLOSE: "socialEncounters.close"
+};
+
+export const STAGE_LAYOUTS = {
+  SINGLE: "single",
+  LINEUP: "lineup",
+  CONVERSATION: "conversation",
+  COUNCIL: "council"
+};
+
+export const TRANSITIONS = {
+  NONE: "none",
+  CROSSFADE: "crossfade",
+  SLIDE: "slide",
+  ZOOM: "zoom",
+  DIP: "dip"
+};
+
+export const DISPLAY_MODES = {
+  FULLSCREEN: "fullscreen",
+  WINDOW: "window",
+  MINIMIZED: "minimized"
+};
+
+export const NAVIGATION_MODES = {
+  LOCKED: "locked",
+  FREE: "free",
+  PRESENTER: "presenter"
 };
 
 export const IMAGE_EXTENSIONS = [
@@ -23,3 +86,8 @@ export const IMAGE_EXTENSIONS = [
   ".webm",
   ".mp4"
 ];
+
+export const VIDEO_EXTENSIONS = [
+  ".webm",
+  ".mp4"
+];
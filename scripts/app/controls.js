@@ -1,9 +1,12 @@
 import { MODULE_ID } from "./constants.js";
 import { log } from "./utils.js";
 import { ImageFolderBrowser } from "./image-browser.js";
+import { canPresent } from "./presenter.js";
+import { launchSceneEncounter } from "./scene-encounters.js";
+import { promptRecap } from "./session-log.js";
 
 export function registerSceneControls(controls) {
-  if (!game.user?.isGM) return;
+  if (!canPresent()) return;
 
   const controlDefinition = {
     name: MODULE_ID,
@@ -19,6 +22,26 @@ export function registerSceneControls(controls) {
         icon: "fas fa-book-open",
         button: true,
         onClick: () => ImageFolderBrowser.show()
+      },
+      {
+        name: "scene-encounter",
+        title: game.i18n.localize("SOCIALENCOUNTERS.SceneEncounter.Launch"),
+        icon: "fas fa-map-signs",
+        button: true,
+        onClick: () => {
+          launchSceneEncounter(game.scenes?.viewed).catch((error) =>
+            console.error(`${MODULE_ID} | Failed to launch scene encounter`, error)
+          );
+        }
+      },
+      {
+        name: "recap",
+        title: game.i18n.localize("SOCIALENCOUNTERS.SessionLog.WriteRecap"),
+        icon: "fas fa-feather-alt",
+        button: true,
+        onClick: () => {
+          promptRecap().catch((error) => console.error(`${MODULE_ID} | Failed to write recap`, error));
+        }
       }
     ]
   };
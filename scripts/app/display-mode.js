@@ -0,0 +1,76 @@
+import { DISPLAY_MODES, MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+const MIN_WIDTH = 360;
+const MIN_HEIGHT = 260;
+
+export function normalizeDisplayMode(value) {
+  return Object.values(DISPLAY_MODES).includes(value) ? value : DISPLAY_MODES.FULLSCREEN;
+}
+
+export function getDisplayMode() {
+  return normalizeDisplayMode(game.settings.get(MODULE_ID, SETTING_KEYS.DISPLAY_MODE));
+}
+
+export async function setDisplayMode(mode) {
+  await game.settings.set(MODULE_ID, SETTING_KEYS.DISPLAY_MODE, normalizeDisplayMode(mode));
+}
+
+function defaultGeometry() {
+  const width = Math.min(960, Math.round(window.innerWidth * 0.6));
+  const height = Math.min(680, Math.round(window.innerHeight * 0.7));
+  return {
+    left: Math.round((window.innerWidth - width) / 2),
+    top: Math.round((window.innerHeight - height) / 2),
+    width,
+    height
+  };
+}
+
+/** Keep the window on screen even if it was saved on a larger monitor. */
+function clampGeometry(geometry) {
+  const width = Math.min(Math.max(geometry.width, MIN_WIDTH), window.innerWidth);
+  const height = Math.min(Math.max(geometry.height, MIN_HEIGHT), window.innerHeight);
+  return {
+    width,
+    height,
+    left: Math.min(Math.max(geometry.left, 0), window.innerWidth - width),
+    top: Math.min(Math.max(geometry.top, 0), window.innerHeight - height)
+  };
+}
+
+export function getWindowGeometry() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.VIEWER_WINDOW);
+  const base = defaultGeometry();
+  if (!stored || typeof stored !== "object") return base;
+  const geometry = {};
+  for (const key of Object.keys(base)) {
+    geometry[key] = Number.isFinite(stored[key]) ? stored[key] : base[key];
+  }
+  return clampGeometry(geometry);
+}
+
+export async function saveWindowGeometry(element) {
+  if (!element) return;
+  const rect = element.getBoundingClientRect();
+  if (!rect.width || !rect.height) return;
+  await game.settings.set(MODULE_ID, SETTING_KEYS.VIEWER_WINDOW, {
+    left: Math.round(rect.left),
+    top: Math.round(rect.top),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  });
+}
+
+export function positionWindow(element, dx, dy) {
+  const rect = element.getBoundingClientRect();
+  const geometry = clampGeometry({ left: rect.left + dx, top: rect.top + dy, width: rect.width, height: rect.height });
+  element.style.left = `${geometry.left}px`;
+  element.style.top = `${geometry.top}px`;
+}
+
+export function applyWindowGeometry(element, geometry = getWindowGeometry()) {
+  element.style.left = `${geometry.left}px`;
+  element.style.top = `${geometry.top}px`;
+  element.style.width = `${geometry.width}px`;
+  element.style.height = `${geometry.height}px`;
+}
@@ -1,6 +1,32 @@
 import { IMAGE_EXTENSIONS, MODULE_ID, SETTING_KEYS } from "./constants.js";
-import { getFilePickerClass, isMediaFile } from "./utils.js";
+import { getFilePickerClass, isMediaFile, isVideoFile } from "./utils.js";
 import { ImageViewer } from "./image-viewer.js";
+import { ACTOR_ART, getActorSourceConfig, getActorSourceOptions, loadActorEntries, setActorSourceConfig } from "./actors.js";
+import { getRecipientOptions, updateRecipients } from "./recipients.js";
+import { deletePreset, duplicatePreset, getPreset, getPresets, renamePreset, savePreset } from "./presets.js";
+import { getAllTags, getImageTags, normalizeTag, parseTags, setImageTags } from "./tags.js";
+import { getAudioCue, getAudioCues, getPlaylistSoundOptions, setAudioCue } from "./audio-cues.js";
+import { describeSource, getImageSources } from "./image-sources.js";
+import { ImageSourcesConfig } from "./image-sources-config.js";
+import { getThumbnailSource, hydrateThumbnails } from "./media-cache.js";
+import { canPresent } from "./presenter.js";
+import { setSceneEncounter } from "./scene-encounters.js";
+import { getSessionLog, promptRecap } from "./session-log.js";
+
+const NPC_SOURCES = {
+  FILES: "files",
+  ACTORS: "actors"
+};
+
+const PARTIAL_PATHS = [
+  `modules/${MODULE_ID}/templates/partials/image-tags.hbs`,
+  `modules/${MODULE_ID}/templates/partials/running-order.hbs`,
+  `modules/${MODULE_ID}/templates/partials/show-more.hbs`
+];
+
+// Cards rendered per folder before a "show more" button; folders with thousands of files stay responsive.
+const PAGE_SIZE = 60;
+const ACTOR_SECTION = "actors";
 
 const BROWSE_EXTENSIONS = Array.from(
   new Set(IMAGE_EXTENSIONS.map((ext) => (ext.startsWith(".") ? ext : `.${ext}`)))
@@ -9,14 +35,25 @@ const BROWSE_EXTENSIONS = Array.from(
 export class ImageFolderBrowser extends Application {
   constructor(options = {}) {
     super(options);
-    const FilePickerClass = getFilePickerClass();
-    this.source = FilePickerClass?.defaultOptions?.source ?? "data";
-    this.npcFolder = this.#normalizeFolder(game.settings.get(MODULE_ID, SETTING_KEYS.NPC_FOLDER) || "") ?? "";
-    this.backgroundFolder = this.#normalizeFolder(game.settings.get(MODULE_ID, SETTING_KEYS.BACKGROUND_FOLDER) || "") ?? "";
     this.npcImages = [];
+    this.actorImages = [];
+    this.npcSource = NPC_SOURCES.FILES;
     this.backgrounds = [];
+    // One root folder node per configured source, in the configured order.
+    this.folderTrees = { npc: [], background: [] };
     this.background = null;
     this.selected = new Set();
+    // Paths in the order they will be shown; the same path may appear more than once.
+    this.runningOrder = [];
+    // What a loaded preset brings beyond its images: the slide to open on and its actor links.
+    this.startPath = null;
+    this.presetLinks = {};
+    this.recipients = null;
+    this.filters = { query: "", tags: [] };
+    // How many cards each folder (by node key) or the actor list currently shows.
+    this.pageLimits = new Map();
+    this._focusSearch = false;
+    this._renderFiltered = foundry.utils.debounce(() => this.render(false), 200);
     this._initialLoadComplete = false;
     this._initialLoadPromise = null;
   }
@@ -36,8 +73,8 @@ export class ImageFolderBrowser extends Application {
   }
 
   static show() {
-    if (!game.user?.isGM) {
-      ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.RequiresGM"));
+    if (!canPresent()) {
+      ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.RequiresPresenter"));
       return null;
     }
     if (!this._instance) this._instance = new this();
@@ -52,45 +89,123 @@ export class ImageFolderBrowser extends Application {
     return instance;
   }
 
+  static async preloadTemplates() {
+    const loadTemplates = foundry?.applications?.handlebars?.loadTemplates ?? globalThis.loadTemplates;
+    await loadTemplates(PARTIAL_PATHS);
+  }
+
   static handleSettingChange(settingKey, value) {
     if (!this._instance) return;
     const instance = this._instance;
 
-    if (settingKey === SETTING_KEYS.NPC_FOLDER) {
-      instance.npcFolder = instance.#normalizeFolder(value ?? "") ?? "";
-      void instance.#loadNpcImages()
-        .then(() => instance.render(false))
-        .catch((error) => console.error(`${MODULE_ID} | Failed to refresh NPC images`, error));
+    if (settingKey === SETTING_KEYS.IMAGE_SOURCES || settingKey === SETTING_KEYS.FOLDER_DEPTH) {
+      void instance.#refreshAll()
+        .catch((error) => console.error(`${MODULE_ID} | Failed to refresh folders`, error));
       return;
     }
 
-    if (settingKey === SETTING_KEYS.BACKGROUND_FOLDER) {
-      instance.backgroundFolder = instance.#normalizeFolder(value ?? "") ?? "";
-      void instance.#loadBackgrounds()
+    if (settingKey === SETTING_KEYS.ACTOR_SOURCES) {
+      void instance.#loadActorImages()
         .then(() => instance.render(false))
-        .catch((error) => console.error(`${MODULE_ID} | Failed to refresh background images`, error));
+        .catch((error) => console.error(`${MODULE_ID} | Failed to refresh actor images`, error));
+      return;
+    }
+
+    if (settingKey === SETTING_KEYS.SESSION_LOG) {
+      instance.#refreshRecapButton();
+      return;
+    }
+
+    const rerenderKeys = [SETTING_KEYS.PRESETS, SETTING_KEYS.IMAGE_TAGS, SETTING_KEYS.AUDIO_CUES];
+    if (rerenderKeys.includes(settingKey) && instance.rendered) {
+      instance.render(false);
     }
   }
 
   getData() {
-    const backgroundImages = this.backgrounds.map((entry) => ({
+    const imageTags = getImageTags();
+    const audioCues = getAudioCues();
+    const matches = (entry) => this.#matchesFilters(entry, imageTags);
+
+    const sources = getImageSources();
+    const npcFolders = this.#folderSections(this.folderTrees.npc, (entry) => ({
       path: entry.path,
       name: this.#extractName(entry.path),
-      preview: entry.preview,
+      preview: this.#previewFor(entry),
+      isVideo: isVideoFile(entry.path),
+      tags: imageTags[entry.path] ?? [],
+      hasCue: Boolean(audioCues[entry.path]),
+      selected: this.selected.has(entry.path)
+    }), matches);
+
+    const backgroundFolders = this.#folderSections(this.folderTrees.background, (entry) => ({
+      path: entry.path,
+      name: this.#extractName(entry.path),
+      preview: this.#previewFor(entry),
+      isVideo: isVideoFile(entry.path),
+      tags: imageTags[entry.path] ?? [],
+      hasCue: Boolean(audioCues[entry.path]),
       selected: entry.path === this.background
+    }), matches);
+
+    const actorConfig = getActorSourceConfig();
+    const actorPage = this.#paginate(ACTOR_SECTION, this.actorImages.filter(matches));
+    const actorImages = actorPage.items.map((entry) => ({
+      path: entry.path,
+      name: entry.name,
+      preview: this.#previewFor(entry),
+      isVideo: isVideoFile(entry.path),
+      tags: imageTags[entry.path] ?? [],
+      hasCue: Boolean(audioCues[entry.path]),
+      selected: this.selected.has(entry.path)
+    }));
+
+    const activeTags = new Set(this.filters.tags);
+    const filterTags = getAllTags(imageTags).map((tag) => ({ tag, active: activeTags.has(tag) }));
+
+    const presets = getPresets().map((preset) => ({
+      id: preset.id,
+      name: preset.name,
+      count: preset.images.length,
+      background: preset.background ? this.#extractName(preset.background) : null
     }));
 
     return {
-      folders: {
-        npc: this.npcFolder,
-        background: this.backgroundFolder
+      // Presenters below GM can browse and launch, but tags, cues, presets and sources are world settings.
+      canEdit: Boolean(game.user?.isGM),
+      sceneName: game.scenes?.viewed?.name ?? null,
+      sessionLogCount: getSessionLog().length,
+      sources: {
+        npc: sources.npc.map((source) => source.label).join(", "),
+        background: sources.background.map((source) => source.label).join(", "),
+        hasNpc: sources.npc.length > 0,
+        hasBackground: sources.background.length > 0
       },
-      npcImages: this.npcImages,
-      hasNpcImages: this.npcImages.length > 0,
-      backgroundImages,
-      hasBackgrounds: backgroundImages.length > 0,
+      npcSource: this.npcSource,
+      isActorSource: this.npcSource === NPC_SOURCES.ACTORS,
+      actorSources: getActorSourceOptions(actorConfig),
+      actorArtIsToken: actorConfig.art === ACTOR_ART.TOKEN,
+      actorImages,
+      hasActorImages: actorImages.length > 0,
+      actorMore: actorPage.more,
+      npcFolders,
+      hasNpcImages: npcFolders.some((folder) => folder.hasImages || !folder.isRoot),
+      backgroundFolders,
+      hasBackgrounds: backgroundFolders.some((folder) => folder.hasImages || !folder.isRoot),
       background: this.background,
-      selectedCount: this.selected.size
+      selectedCount: this.runningOrder.length,
+      runningOrder: this.#runningOrderEntries(),
+      hasRunningOrder: this.runningOrder.length > 0,
+      presets,
+      hasPresets: presets.length > 0,
+      filters: {
+        query: this.filters.query,
+        tags: filterTags,
+        hasTags: filterTags.length > 0,
+        active: this.#filtersActive()
+      },
+      recipientOptions: getRecipientOptions(this.recipients),
+      recipientsEveryone: this.recipients === null
     };
   }
 
@@ -115,6 +230,7 @@ export class ImageFolderBrowser extends Application {
   async #refreshAll({ quiet = false, render = true } = {}) {
     await Promise.all([
       this.#loadNpcImages({ quiet }),
+      this.#loadActorImages({ quiet }),
       this.#loadBackgrounds({ quiet })
     ]);
     if (render) await this.render(false);
@@ -145,15 +261,21 @@ export class ImageFolderBrowser extends Application {
     return normalized.replace(/\\+$/, "");
   }
 
-  #prepareBrowse(path) {
-    const normalized = this.#normalizeFolder(path);
-    if (normalized == null) return null;
-    const { source, target } = this.#splitSource(normalized);
-    const browseSource = source ?? this.source ?? "data";
-    const base = target ?? normalized ?? "";
+  #prepareBrowse(node) {
+    const base = this.#normalizeFolder(node.path) ?? "";
     const browseTarget = base && !base.endsWith("/") ? `${base}/` : base;
-    this.source = browseSource;
-    return { browseSource, browseTarget };
+    const options = { extensions: BROWSE_EXTENSIONS };
+    if (node.origin.source === "s3") options.bucket = node.origin.bucket;
+    return { browseSource: node.origin.source, browseTarget, options };
+  }
+
+  /**
+   * Storage thumbnails from the file browser are used as they are; anything else gets a generated
+   * thumbnail, and null tells the template to leave the image for `hydrateThumbnails`.
+   */
+  #previewFor(entry) {
+    if (entry.preview && entry.preview !== entry.path) return entry.preview;
+    return getThumbnailSource(entry.path);
   }
 
   #extractName(path) {
@@ -162,13 +284,10 @@ export class ImageFolderBrowser extends Application {
     return segments.pop() || normalized;
   }
 
-  async #browseFolderEntries(folder) {
-    const browse = this.#prepareBrowse(folder);
-    if (!browse) return [];
+  async #browseFolderEntries(node) {
+    const browse = this.#prepareBrowse(node);
     const FilePickerClass = getFilePickerClass();
-    const result = await FilePickerClass.browse(browse.browseSource, browse.browseTarget, {
-      extensions: BROWSE_EXTENSIONS
-    });
+    const result = await FilePickerClass.browse(browse.browseSource, browse.browseTarget, browse.options);
 
     const rawEntries = [];
     const visited = new Set();
@@ -259,119 +378,505 @@ export class ImageFolderBrowser extends Application {
       });
     }
 
-    return Array.from(unique.values());
+    // Subfolders inherit the node's storage source, so the paths stay bare.
+    const dirs = new Set();
+    for (const dir of result?.dirs ?? []) {
+      const rawDir = typeof dir === "string" ? dir : dir?.path ?? null;
+      const cleaned = this.#normalizePath(rawDir)?.replace(/\/+$/, "");
+      if (cleaned) dirs.add(cleaned);
+    }
+
+    return {
+      entries: Array.from(unique.values()),
+      dirs: Array.from(dirs).sort((a, b) => a.localeCompare(b))
+    };
   }
 
-  async #loadNpcImages({ quiet = false } = {}) {
-    this.selected = new Set();
+  #maxFolderDepth() {
+    const value = Number(game.settings.get(MODULE_ID, SETTING_KEYS.FOLDER_DEPTH));
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : 0;
+  }
 
-    this.npcFolder = this.#normalizeFolder(game.settings.get(MODULE_ID, SETTING_KEYS.NPC_FOLDER) || "") ?? "";
+  #createFolderNode(path, depth, origin) {
+    return {
+      // Paths can repeat across storages (data vs public), so nodes are addressed by source and path.
+      key: `${origin.id}:${path}`,
+      path,
+      origin,
+      name: depth === 0 ? origin.label : this.#extractName(path),
+      depth,
+      expanded: depth === 0,
+      loaded: false,
+      loading: false,
+      images: [],
+      children: []
+    };
+  }
 
-    if (!this.npcFolder) {
-      this.npcImages = [];
-      return;
+  async #loadFolderNode(node) {
+    node.loading = true;
+    try {
+      const { entries, dirs } = await this.#browseFolderEntries(node);
+      node.images = entries.map((entry) => ({ ...entry, origin: node.origin }));
+      node.children = node.depth < this.#maxFolderDepth()
+        ? dirs.map((dir) => this.#createFolderNode(dir, node.depth + 1, node.origin))
+        : [];
+      node.loaded = true;
+    } finally {
+      node.loading = false;
     }
+  }
 
-    try {
-      const entries = await this.#browseFolderEntries(this.npcFolder);
-      const previousSelection = new Set(
-        this.npcImages.filter((img) => img.selected).map((img) => img.path)
-      );
-      const hasPreviousSelection = previousSelection.size > 0;
-
-      this.npcImages = entries.map((entry) => {
-        const selected = hasPreviousSelection && previousSelection.has(entry.path);
-        if (selected) this.selected.add(entry.path);
-        return {
-          path: entry.path,
-          name: this.#extractName(entry.path),
-          preview: entry.preview,
-          selected
-        };
+  async #loadFolderTree(origin, previous = null) {
+    // Re-open the folders that were expanded before a refresh; everything else stays lazy.
+    const expanded = new Set();
+    if (previous && describeSource(previous.origin) === describeSource(origin)) {
+      this.#walkFolderTree(previous, (node) => {
+        if (node.depth > 0 && node.expanded) expanded.add(node.key);
       });
+    }
 
-      if (!this.npcImages.length) this.selected.clear();
-    } catch (error) {
-      console.error(`${MODULE_ID} | Failed to load NPC images`, error);
-      this.npcImages = [];
-      this.selected.clear();
-      if (!quiet) {
-        ui.notifications?.error(game.i18n.localize("SOCIALENCOUNTERS.ImageFolderErrorNPC"));
+    const root = this.#createFolderNode(origin.path, 0, origin);
+    const loadExpanded = async (node) => {
+      await this.#loadFolderNode(node);
+      for (const child of node.children) {
+        if (!expanded.has(child.key)) continue;
+        child.expanded = true;
+        try {
+          await loadExpanded(child);
+        } catch (error) {
+          console.error(`${MODULE_ID} | Failed to load folder ${child.path}`, error);
+          child.expanded = false;
+        }
       }
-    }
+    };
+    await loadExpanded(root);
+    return root;
   }
 
-  async #loadBackgrounds({ quiet = false } = {}) {
-    const previous = this.background;
+  #walkFolderTree(node, callback) {
+    if (!node) return;
+    callback(node);
+    for (const child of node.children) this.#walkFolderTree(child, callback);
+  }
 
-    this.backgroundFolder = this.#normalizeFolder(game.settings.get(MODULE_ID, SETTING_KEYS.BACKGROUND_FOLDER) || "") ?? "";
+  #findFolderNode(category, key) {
+    let match = null;
+    for (const root of this.folderTrees[category]) {
+      this.#walkFolderTree(root, (node) => {
+        if (!match && node.key === key) match = node;
+      });
+    }
+    return match;
+  }
 
-    if (!this.backgroundFolder) {
-      this.backgrounds = [];
-      this.background = null;
-      if (previous && game.user?.isGM) ImageViewer.syncWithPlayers();
-      return;
+  /** Every loaded image across the sources; the first source to list a path owns it. */
+  #collectTreeImages(roots) {
+    const unique = new Map();
+    for (const root of roots) {
+      this.#walkFolderTree(root, (node) => {
+        for (const entry of node.images) {
+          if (!unique.has(entry.path)) unique.set(entry.path, entry);
+        }
+      });
     }
+    return Array.from(unique.values());
+  }
 
-    try {
-      const entries = await this.#browseFolderEntries(this.backgroundFolder);
-      this.backgrounds = entries;
-      const hasBackground = entries.some((entry) => entry.path === this.background);
-      if (!hasBackground) {
-        this.background = entries[0]?.path ?? null;
+  #folderSections(roots, mapImage, include = () => true) {
+    const sections = [];
+    const seen = new Set();
+    // Only label image origins when there is more than one source to tell apart.
+    const labelOrigins = roots.length > 1;
+    const walk = (node) => {
+      const showImages = node.expanded && node.loaded;
+      const matching = showImages ? node.images.filter((entry) => !seen.has(entry.path) && include(entry)) : [];
+      // Everything matching counts as seen, rendered or not, so later sources don't resurface hidden duplicates.
+      for (const entry of matching) seen.add(entry.path);
+      const page = this.#paginate(node.key, matching, node.depth);
+      const images = page.items.map((entry) => ({
+        ...mapImage(entry),
+        origin: labelOrigins ? entry.origin.label : null,
+        location: describeSource(entry.origin)
+      }));
+      sections.push({
+        key: node.key,
+        path: node.path,
+        name: node.name,
+        location: describeSource(node.origin),
+        depth: node.depth,
+        isRoot: node.depth === 0,
+        expanded: node.expanded,
+        loaded: node.loaded,
+        loading: node.loading,
+        count: node.loaded ? node.images.length : null,
+        images,
+        hasImages: images.length > 0,
+        more: page.more
+      });
+      if (!showImages) return;
+      for (const child of node.children) walk(child);
+    };
+    for (const root of roots) walk(root);
+    return sections;
+  }
+
+  /** The slice of `items` a section currently shows, plus what its "show more" button should offer. */
+  #paginate(key, items, depth = 0) {
+    const limit = this.pageLimits.get(key) ?? PAGE_SIZE;
+    const shown = items.slice(0, limit);
+    const remaining = items.length - shown.length;
+    return {
+      items: shown,
+      more: remaining > 0 ? { key, depth, remaining, next: Math.min(PAGE_SIZE, remaining) } : null
+    };
+  }
+
+  async #showMore(key) {
+    if (!key) return;
+    this.pageLimits.set(key, (this.pageLimits.get(key) ?? PAGE_SIZE) + PAGE_SIZE);
+    await this.render(false);
+  }
+
+  #syncNpcImages() {
+    this.npcImages = this.#collectTreeImages(this.folderTrees.npc).map((entry) => ({
+      path: entry.path,
+      name: this.#extractName(entry.path),
+      preview: entry.preview,
+      selected: this.selected.has(entry.path)
+    }));
+  }
+
+  async #toggleFolder(category, key) {
+    const node = this.#findFolderNode(category, key);
+    if (!node || node.depth === 0 || node.loading) return;
+
+    node.expanded = !node.expanded;
+    if (node.expanded && !node.loaded) {
+      const loading = this.#loadFolderNode(node);
+      await this.render(false);
+      try {
+        await loading;
+      } catch (error) {
+        console.error(`${MODULE_ID} | Failed to load folder ${node.path}`, error);
+        node.expanded = false;
+        ui.notifications?.error(game.i18n.format("SOCIALENCOUNTERS.FolderLoadError", { folder: node.name }));
       }
-      if (previous !== this.background && game.user?.isGM) {
-        ImageViewer.syncWithPlayers();
+      if (category === "npc") this.#syncNpcImages();
+      else this.backgrounds = this.#collectTreeImages(this.folderTrees.background);
+    }
+
+    await this.render(false);
+  }
+
+  async #selectFolder(key) {
+    const node = this.#findFolderNode("npc", key);
+    if (!node?.loaded) return;
+    for (const entry of node.images) this.#updateSelection(entry.path, true);
+    await this.#refreshSelection();
+  }
+
+  /** Load each source's tree; a broken source is reported and skipped so the others still show. */
+  async #loadSourceTrees(origins, previousRoots, { quiet = false } = {}) {
+    const previous = new Map(previousRoots.map((root) => [root.origin.id, root]));
+    const roots = await Promise.all(origins.map(async (origin) => {
+      try {
+        return await this.#loadFolderTree(origin, previous.get(origin.id));
+      } catch (error) {
+        console.error(`${MODULE_ID} | Failed to load image source ${describeSource(origin)}`, error);
+        if (!quiet) {
+          ui.notifications?.error(game.i18n.format("SOCIALENCOUNTERS.ImageSourceError", { source: origin.label }));
+        }
+        return null;
       }
+    }));
+    return roots.filter(Boolean);
+  }
+
+  async #loadNpcImages({ quiet = false } = {}) {
+    const { npc } = getImageSources();
+    this.folderTrees.npc = await this.#loadSourceTrees(npc, this.folderTrees.npc, { quiet });
+    this.#syncNpcImages();
+  }
+
+  async #loadBackgrounds({ quiet = false } = {}) {
+    const previous = this.background;
+    const { background } = getImageSources();
+    this.folderTrees.background = await this.#loadSourceTrees(background, this.folderTrees.background, { quiet });
+    const entries = this.#collectTreeImages(this.folderTrees.background);
+    this.backgrounds = entries;
+    if (!entries.some((entry) => entry.path === this.background)) {
+      this.background = entries[0]?.path ?? null;
+    }
+    if (previous !== this.background && game.user?.isGM) {
+      ImageViewer.syncWithPlayers();
+    }
+  }
+
+  async #loadActorImages({ quiet = false } = {}) {
+    try {
+      const entries = await loadActorEntries();
+      this.actorImages = entries.map((entry) => ({ ...entry, selected: this.selected.has(entry.path) }));
     } catch (error) {
-      console.error(`${MODULE_ID} | Failed to load background images`, error);
-      this.backgrounds = [];
-      this.background = null;
+      console.error(`${MODULE_ID} | Failed to load actor images`, error);
+      this.actorImages = [];
       if (!quiet) {
-        ui.notifications?.error(game.i18n.localize("SOCIALENCOUNTERS.BackgroundFolderError"));
+        ui.notifications?.error(game.i18n.localize("SOCIALENCOUNTERS.Actors.LoadError"));
       }
     }
   }
 
+  #selectableImages() {
+    return [...this.npcImages, ...this.actorImages];
+  }
+
   #selectAll() {
-    this.selected = new Set();
-    for (const image of this.npcImages) {
-      image.selected = true;
-      this.selected.add(image.path);
+    const imageTags = getImageTags();
+    const visible = this.npcSource === NPC_SOURCES.ACTORS ? this.actorImages : this.npcImages;
+    for (const image of visible) {
+      if (this.#matchesFilters(image, imageTags)) this.#updateSelection(image.path, true);
     }
   }
 
+  #filtersActive() {
+    return Boolean(this.filters.query) || this.filters.tags.length > 0;
+  }
+
+  /** Search terms and tag chips combine: an image must match every term and carry every tag. */
+  #matchesFilters(entry, imageTags) {
+    if (!this.#filtersActive()) return true;
+    const tags = imageTags[entry.path] ?? [];
+    if (!this.filters.tags.every((tag) => tags.includes(tag))) return false;
+
+    const haystack = `${entry.name ?? ""} ${this.#extractName(entry.path)} ${tags.join(" ")}`.toLowerCase();
+    const terms = this.filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+    return terms.every((term) => haystack.includes(term));
+  }
+
+  #toggleFilterTag(tag) {
+    const normalized = normalizeTag(tag);
+    if (!normalized) return;
+    const tags = new Set(this.filters.tags);
+    if (tags.has(normalized)) tags.delete(normalized);
+    else tags.add(normalized);
+    this.filters.tags = Array.from(tags);
+  }
+
+  async #editCue(path) {
+    const cue = getAudioCue(path) ?? { playlistSound: null, src: null, volume: 0.8, loop: true };
+    const escape = foundry.utils.escapeHTML;
+    const groups = getPlaylistSoundOptions(cue.playlistSound).map((group) => `
+      <optgroup label="${escape(group.label)}">
+        ${group.sounds.map((sound) => `<option value="${sound.uuid}" ${sound.selected ? "selected" : ""}>${escape(sound.name)}</option>`).join("")}
+      </optgroup>`).join("");
+
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const result = await DialogV2.prompt({
+      window: { title: game.i18n.format("SOCIALENCOUNTERS.AudioCue.EditFor", { name: this.#extractName(path) }) },
+      content: `
+        <div class="form-group">
+          <label>${game.i18n.localize("SOCIALENCOUNTERS.AudioCue.PlaylistSound")}</label>
+          <select name="playlistSound"><option value="">—</option>${groups}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("SOCIALENCOUNTERS.AudioCue.File")}</label>
+          <file-picker name="src" type="audio" value="${escape(cue.src ?? "")}"></file-picker>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("SOCIALENCOUNTERS.AudioCue.Volume")}</label>
+          <input type="range" name="volume" min="0" max="1" step="0.05" value="${cue.volume}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("SOCIALENCOUNTERS.AudioCue.Loop")}</label>
+          <input type="checkbox" name="loop" ${cue.loop ? "checked" : ""}>
+        </div>
+        <p class="hint">${game.i18n.localize("SOCIALENCOUNTERS.AudioCue.Hint")}</p>`,
+      ok: {
+        label: game.i18n.localize("SOCIALENCOUNTERS.AudioCue.Save"),
+        callback: (event, button) => {
+          const { elements } = button.form;
+          return {
+            playlistSound: elements.playlistSound.value,
+            src: elements.src?.value ?? "",
+            volume: elements.volume.value,
+            loop: elements.loop.checked
+          };
+        }
+      },
+      rejectClose: false
+    });
+    if (!result) return;
+    await setAudioCue(path, result);
+  }
+
+  async #editTags(path) {
+    const current = getImageTags()[path] ?? [];
+    const known = getAllTags().map((tag) => `<option value="${foundry.utils.escapeHTML(tag)}"></option>`).join("");
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const text = await DialogV2.prompt({
+      window: { title: game.i18n.format("SOCIALENCOUNTERS.Tags.EditFor", { name: this.#extractName(path) }) },
+      content: `
+        <input type="text" name="tags" value="${foundry.utils.escapeHTML(current.join(", "))}" list="${MODULE_ID}-known-tags" autofocus>
+        <datalist id="${MODULE_ID}-known-tags">${known}</datalist>
+        <p class="hint">${game.i18n.localize("SOCIALENCOUNTERS.Tags.Hint")}</p>`,
+      ok: {
+        label: game.i18n.localize("SOCIALENCOUNTERS.Tags.Save"),
+        callback: (event, button) => button.form.elements.tags.value
+      },
+      rejectClose: false
+    });
+    if (text == null) return;
+    await setImageTags(path, parseTags(text));
+  }
+
   #clearSelection() {
-    for (const image of this.npcImages) {
-      image.selected = false;
-    }
-    this.selected.clear();
+    this.#setRunningOrder([]);
   }
 
+  /** Ticking a card appends it to the running order; unticking drops every copy of it. */
   #updateSelection(path, isSelected) {
-    if (isSelected) this.selected.add(path);
-    else this.selected.delete(path);
+    if (isSelected) {
+      if (!this.selected.has(path)) this.#setRunningOrder([...this.runningOrder, path]);
+      return;
+    }
+    this.#setRunningOrder(this.runningOrder.filter((entry) => entry !== path));
+  }
+
+  #setRunningOrder(paths) {
+    this.runningOrder = paths.filter((path) => typeof path === "string" && path);
+    this.selected = new Set(this.runningOrder);
+    for (const image of this.#selectableImages()) {
+      image.selected = this.selected.has(image.path);
+    }
+  }
 
-    const match = this.npcImages.find((img) => img.path === path);
-    if (match) match.selected = isSelected;
+  #runningOrderEntries() {
+    const known = new Map(this.#selectableImages().map((image) => [image.path, image]));
+    return this.runningOrder.map((path, index) => {
+      const image = known.get(path);
+      return {
+        index,
+        position: index + 1,
+        path,
+        name: image?.name ?? this.#extractName(path),
+        preview: this.#previewFor(image ?? { path }),
+        isVideo: isVideoFile(path)
+      };
+    });
   }
 
-  async #selectBackground(path) {
+  #moveRunningOrderEntry(from, to) {
+    const order = Array.from(this.runningOrder);
+    if (!order[from] || to < 0 || to >= order.length || from === to) return false;
+    const [path] = order.splice(from, 1);
+    order.splice(to, 0, path);
+    this.#setRunningOrder(order);
+    return true;
+  }
+
+  #removeRunningOrderEntry(index) {
+    const order = Array.from(this.runningOrder);
+    if (!order[index]) return;
+    order.splice(index, 1);
+    this.#setRunningOrder(order);
+  }
+
+  #duplicateRunningOrderEntry(index) {
+    const order = Array.from(this.runningOrder);
+    if (!order[index]) return;
+    order.splice(index + 1, 0, order[index]);
+    this.#setRunningOrder(order);
+  }
+
+  /**
+   * Reflect the current selection in the open window without a full render: re-rendering every
+   * card would reset scroll positions and thumbnails in large folders.
+   */
+  async #refreshSelection() {
+    const root = this.element?.[0];
+    if (!root) return;
+    for (const card of root.querySelectorAll(".image-card[data-image-path]")) {
+      const selected = this.selected.has(card.dataset.imagePath);
+      card.classList.toggle("selected", selected);
+      const checkbox = card.querySelector('input[data-action="toggle-image"]');
+      if (checkbox) checkbox.checked = selected;
+    }
+    const count = root.querySelector(".selection-count");
+    if (count) count.textContent = String(this.runningOrder.length);
+
+    const current = root.querySelector(".running-order");
+    if (!current) return;
+    const runningOrder = this.#runningOrderEntries();
+    const markup = await renderTemplate(`modules/${MODULE_ID}/templates/partials/running-order.hbs`, {
+      runningOrder,
+      hasRunningOrder: runningOrder.length > 0
+    });
+    if (!current.isConnected) return;
+    const template = document.createElement("template");
+    template.innerHTML = markup.trim();
+    const next = template.content.firstElementChild;
+    current.replaceWith(next);
+    this.#activateRunningOrderListeners($(next));
+    hydrateThumbnails(next);
+  }
+
+  #refreshBackground() {
+    const root = this.element?.[0];
+    if (!root) return;
+    for (const button of root.querySelectorAll('[data-action="select-background"]')) {
+      button.closest(".background-card")?.classList.toggle("is-selected", button.dataset.path === this.background);
+    }
+    const input = root.querySelector(".browser__background-path");
+    if (input) input.value = this.background ?? "";
+    const clear = root.querySelector('[data-action="clear-background"]');
+    if (clear) clear.disabled = !this.background;
+  }
+
+  #selectBackground(path) {
     if (path === this.background) return;
     this.background = path;
-    await this.render(false);
-    if (game.user?.isGM) {
-      const viewer = ImageViewer.active;
-      if (viewer) {
-        viewer.background = typeof path === "string" ? path.trim() || null : null;
-        viewer.render().catch((error) => console.error(`${MODULE_ID} | Failed to refresh viewer background`, error));
-      }
-      ImageViewer.syncWithPlayers();
-    }
+    this.#refreshBackground();
+    if (ImageViewer.active?.isPresenting) ImageViewer.active.setBackground(path);
+  }
+
+  /** Keep the recap button in step with the session log without a full render. */
+  #refreshRecapButton() {
+    const button = this.element?.[0]?.querySelector('[data-action="write-recap"]');
+    if (!button) return;
+    const count = getSessionLog().length;
+    button.disabled = !count;
+    button.title = game.i18n.format("SOCIALENCOUNTERS.SessionLog.Count", { count });
+  }
+
+  #saveActorSourceConfig(changes) {
+    setActorSourceConfig(changes).catch((error) => {
+      console.error(`${MODULE_ID} | Failed to save actor sources`, error);
+      ui.notifications?.error(game.i18n.localize("SOCIALENCOUNTERS.Actors.SaveError"));
+      // Put the checkboxes back to what is actually stored.
+      if (this.rendered) this.render(false);
+    });
   }
 
   #selectedImagePaths() {
-    return this.npcImages.filter((img) => img.selected).map((img) => img.path);
+    return Array.from(this.runningOrder);
+  }
+
+  /** Where the loaded preset started, if that image is still in `paths`. */
+  #selectedStartIndex(paths) {
+    return Math.max(paths.indexOf(this.startPath), 0);
+  }
+
+  /** Actor links for the selected paths, from the Actors source or a loaded preset. */
+  #selectedLinks(paths) {
+    const wanted = new Set(paths);
+    const links = {};
+    for (const [path, uuid] of Object.entries(this.presetLinks)) {
+      if (wanted.has(path)) links[path] = uuid;
+    }
+    for (const entry of this.actorImages) {
+      if (wanted.has(entry.path)) links[entry.path] = entry.actorUuid;
+    }
+    return links;
   }
 
   async #launchViewer() {
@@ -380,11 +885,22 @@ export class ImageFolderBrowser extends Application {
       ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.NotifyNoImages"));
       return;
     }
+    await this.#openViewer({
+      images: ordered,
+      background: this.background,
+      startIndex: this.#selectedStartIndex(ordered),
+      links: this.#selectedLinks(ordered)
+    });
+  }
+
+  async #openViewer({ images, background, startIndex, links = {} }) {
     try {
       const viewer = await ImageViewer.show({
-        images: ordered,
-        background: this.background,
-        startIndex: 0,
+        images,
+        background,
+        startIndex,
+        links,
+        recipients: this.recipients,
         broadcast: true
       });
       if (viewer) {
@@ -401,8 +917,152 @@ export class ImageFolderBrowser extends Application {
     }
   }
 
+  /** Attach `encounter` (the running order when omitted) to the scene being viewed. */
+  async #attachToScene(encounter = null) {
+    const scene = game.scenes?.viewed;
+    if (!scene) return;
+    const images = encounter?.images ?? this.#selectedImagePaths();
+    if (!images.length) {
+      ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.NotifyNoImages"));
+      return;
+    }
+    const attached = await setSceneEncounter(scene, encounter ?? {
+      images,
+      background: this.background,
+      startIndex: this.#selectedStartIndex(images),
+      links: this.#selectedLinks(images)
+    });
+    if (attached) {
+      ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.SceneEncounter.Attached", { scene: scene.name }));
+    }
+  }
+
+  async #saveCurrentAsPreset(html) {
+    const images = this.#selectedImagePaths();
+    if (!images.length) {
+      ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.NotifyNoImages"));
+      return;
+    }
+
+    const nameInput = html.find('[name="preset-name"]');
+    const name = String(nameInput.val() ?? "").trim() ||
+      game.i18n.format("SOCIALENCOUNTERS.Presets.DefaultName", { count: getPresets().length + 1 });
+    const startValue = Number.parseInt(html.find('[name="preset-start"]').val() ?? "", 10);
+    const startIndex = Number.isNaN(startValue) ? 0 : Math.max(startValue - 1, 0);
+
+    const preset = await savePreset({
+      name,
+      images,
+      background: this.background,
+      startIndex,
+      links: this.#selectedLinks(images)
+    });
+    if (preset) {
+      ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.Presets.Saved", { name: preset.name }));
+    }
+  }
+
+  async #loadPresetSelection(id) {
+    const preset = getPreset(id);
+    if (!preset) return;
+
+    this.#setRunningOrder(preset.images);
+    this.startPath = preset.images[preset.startIndex] ?? null;
+    this.presetLinks = { ...preset.links };
+    // Only the browser selection changes; the live viewer keeps its background until launched.
+    this.background = preset.background;
+    this.#refreshBackground();
+    this.element?.find('[name="preset-start"]').val(preset.startIndex + 1);
+    await this.#refreshSelection();
+  }
+
+  async #launchPreset(id) {
+    const preset = getPreset(id);
+    if (!preset?.images.length) {
+      ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.Presets.Missing"));
+      return;
+    }
+    await this.#openViewer({
+      images: preset.images,
+      background: preset.background,
+      startIndex: preset.startIndex,
+      links: preset.links
+    });
+  }
+
+  async #renamePreset(id) {
+    const preset = getPreset(id);
+    if (!preset) return;
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const name = await DialogV2.prompt({
+      window: { title: game.i18n.localize("SOCIALENCOUNTERS.Presets.Rename") },
+      content: `<input type="text" name="name" value="${foundry.utils.escapeHTML(preset.name)}" autofocus>`,
+      ok: {
+        label: game.i18n.localize("SOCIALENCOUNTERS.Presets.Rename"),
+        callback: (event, button) => button.form.elements.name.value
+      },
+      rejectClose: false
+    });
+    if (name) await renamePreset(id, name);
+  }
+
+  async #deletePreset(id) {
+    const preset = getPreset(id);
+    if (!preset) return;
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const confirmed = await DialogV2.confirm({
+      window: { title: game.i18n.localize("SOCIALENCOUNTERS.Presets.Delete") },
+      content: `<p>${game.i18n.format("SOCIALENCOUNTERS.Presets.DeleteConfirm", { name: foundry.utils.escapeHTML(preset.name) })}</p>`,
+      rejectClose: false
+    });
+    if (confirmed) await deletePreset(id);
+  }
+
+  /** Listeners for the running-order strip, which is re-rendered on its own when the selection changes. */
+  #activateRunningOrderListeners(html) {
+    html.find('[data-action="running-order-remove"]').on('click', async (event) => {
+      this.#removeRunningOrderEntry(Number(event.currentTarget.dataset.index));
+      await this.#refreshSelection();
+    });
+
+    html.find('[data-action="running-order-duplicate"]').on('click', async (event) => {
+      this.#duplicateRunningOrderEntry(Number(event.currentTarget.dataset.index));
+      await this.#refreshSelection();
+    });
+
+    const orderEntries = html.find('.running-order__entry');
+    orderEntries.on('dragstart', (event) => {
+      const transfer = event.originalEvent?.dataTransfer;
+      if (!transfer) return;
+      transfer.effectAllowed = 'move';
+      transfer.setData('text/plain', event.currentTarget.dataset.index);
+      event.currentTarget.classList.add('is-dragging');
+    });
+    orderEntries.on('dragend', (event) => {
+      event.currentTarget.classList.remove('is-dragging');
+      orderEntries.removeClass('is-drop-target');
+    });
+    orderEntries.on('dragover', (event) => {
+      event.preventDefault();
+      if (event.originalEvent?.dataTransfer) event.originalEvent.dataTransfer.dropEffect = 'move';
+      orderEntries.removeClass('is-drop-target');
+      event.currentTarget.classList.add('is-drop-target');
+    });
+    orderEntries.on('drop', async (event) => {
+      event.preventDefault();
+      const from = Number.parseInt(event.originalEvent?.dataTransfer?.getData('text/plain') ?? '', 10);
+      const to = Number(event.currentTarget.dataset.index);
+      if (Number.isNaN(from) || !this.#moveRunningOrderEntry(from, to)) {
+        orderEntries.removeClass('is-drop-target');
+        return;
+      }
+      await this.#refreshSelection();
+    });
+  }
+
   activateListeners(html) {
     super.activateListeners(html);
+    hydrateThumbnails(html[0]);
 
     html.find('[data-action="refresh-folder"]').on('click', (event) => {
       const target = event.currentTarget.dataset.target;
@@ -413,14 +1073,90 @@ export class ImageFolderBrowser extends Application {
       }
     });
 
+    html.find('[data-action="toggle-folder"]').on('click', (event) => {
+      const { target, folder } = event.currentTarget.dataset;
+      void this.#toggleFolder(target === "background" ? "background" : "npc", folder);
+    });
+
+    html.find('[data-action="configure-sources"]').on('click', () => {
+      new ImageSourcesConfig().render(true);
+    });
+
+    html.find('[data-action="select-folder"]').on('click', (event) => {
+      void this.#selectFolder(event.currentTarget.dataset.folder);
+    });
+
+    html.find('[data-action="show-more"]').on('click', (event) => {
+      void this.#showMore(event.currentTarget.dataset.section);
+    });
+
+    html.find('[data-action="npc-source"]').on('click', async (event) => {
+      const source = event.currentTarget.dataset.source;
+      if (!Object.values(NPC_SOURCES).includes(source) || source === this.npcSource) return;
+      this.npcSource = source;
+      await this.render(false);
+    });
+
+    html.find('input[data-action="actor-source"]').on('change', () => {
+      const sources = html
+        .find('input[data-action="actor-source"]:checked')
+        .map((_, input) => input.value)
+        .get();
+      this.#saveActorSourceConfig({ sources });
+    });
+
+    html.find('input[data-action="actor-art"]').on('change', (event) => {
+      this.#saveActorSourceConfig({ art: event.currentTarget.value });
+    });
+
+    const search = html.find('input[name="filter-query"]');
+    search.on('input', (event) => {
+      this.filters.query = event.currentTarget.value.trim();
+      this._focusSearch = true;
+      this._renderFiltered();
+    });
+    if (this._focusSearch) {
+      // Re-rendering replaces the input, so put the caret back where the user was typing.
+      const input = search.get(0);
+      input?.focus();
+      input?.setSelectionRange(input.value.length, input.value.length);
+      this._focusSearch = false;
+    }
+
+    html.find('[data-action="filter-tag"]').on('click', async (event) => {
+      this.#toggleFilterTag(event.currentTarget.dataset.tag);
+      await this.render(false);
+    });
+
+    html.find('[data-action="clear-filters"]').on('click', async () => {
+      this.filters = { query: "", tags: [] };
+      await this.render(false);
+    });
+
+    html.find('[data-action="edit-tags"]').on('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      void this.#editTags(event.currentTarget.dataset.path).catch((error) =>
+        console.error(`${MODULE_ID} | Failed to update tags`, error)
+      );
+    });
+
+    html.find('[data-action="edit-cue"]').on('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      void this.#editCue(event.currentTarget.dataset.path).catch((error) =>
+        console.error(`${MODULE_ID} | Failed to update audio cue`, error)
+      );
+    });
+
     html.find('[data-action="select-all"]').on('click', async () => {
       this.#selectAll();
-      await this.render(false);
+      await this.#refreshSelection();
     });
 
     html.find('[data-action="clear-selection"]').on('click', async () => {
       this.#clearSelection();
-      await this.render(false);
+      await this.#refreshSelection();
     });
 
     html.find('input[data-action="toggle-image"]').on('change', (event) => {
@@ -428,31 +1164,68 @@ export class ImageFolderBrowser extends Application {
       const path = target.value;
       const isSelected = target.checked;
       this.#updateSelection(path, isSelected);
-      target.closest('.image-card')?.classList.toggle('selected', isSelected);
-      html.find('.selection-count').text(this.selected.size.toString());
+      void this.#refreshSelection();
     });
 
+    this.#activateRunningOrderListeners(html.find('.running-order'));
+
     html.find('[data-action="select-background"]').on('click', (event) => {
       const path = event.currentTarget.dataset.path;
-      void this.#selectBackground(path);
+      this.#selectBackground(path);
+    });
+
+    html.find('[data-action="clear-background"]').on('click', () => {
+      this.#selectBackground(null);
     });
 
-    html.find('[data-action="clear-background"]').on('click', async () => {
-      this.background = null;
+    html.find('input[data-action="recipients-everyone"]').on('change', async (event) => {
+      this.recipients = event.currentTarget.checked ? null : [];
+      await this.render(false);
+    });
+
+    html.find('input[data-action="recipient-toggle"]').on('change', async (event) => {
+      const target = event.currentTarget;
+      this.recipients = updateRecipients(this.recipients, target.value, target.checked);
       await this.render(false);
-      if (game.user?.isGM) {
-        const viewer = ImageViewer.active;
-        if (viewer) {
-          viewer.background = null;
-          viewer.render().catch((error) => console.error(`${MODULE_ID} | Failed to clear viewer background`, error));
-        }
-        ImageViewer.syncWithPlayers();
-      }
     });
 
     html.find('[data-action="launch-viewer"]').on('click', () => {
       void this.#launchViewer();
     });
+
+    html.find('[data-action="write-recap"]').on('click', () => {
+      void promptRecap().catch((error) => console.error(`${MODULE_ID} | Failed to write recap`, error));
+    });
+
+    html.find('[data-action="attach-scene"]').on('click', () => {
+      void this.#attachToScene().catch((error) =>
+        console.error(`${MODULE_ID} | Failed to attach encounter to scene`, error)
+      );
+    });
+
+    html.find('[data-action="save-preset"]').on('click', () => {
+      void this.#saveCurrentAsPreset(html).catch((error) => {
+        console.error(`${MODULE_ID} | Failed to save preset`, error);
+        ui.notifications?.error(game.i18n.localize("SOCIALENCOUNTERS.Presets.SaveError"));
+      });
+    });
+
+    html.find('[data-action^="preset-"]').on('click', (event) => {
+      const { action, presetId } = event.currentTarget.dataset;
+      const handlers = {
+        "preset-launch": () => this.#launchPreset(presetId),
+        "preset-load": () => this.#loadPresetSelection(presetId),
+        "preset-attach": () => this.#attachToScene(getPreset(presetId)),
+        "preset-rename": () => this.#renamePreset(presetId),
+        "preset-duplicate": () => duplicatePreset(presetId),
+        "preset-delete": () => this.#deletePreset(presetId)
+      };
+      const handler = handlers[action];
+      if (!handler) return;
+      void Promise.resolve(handler()).catch((error) =>
+        console.error(`${MODULE_ID} | Preset action failed`, error)
+      );
+    });
   }
 }
 
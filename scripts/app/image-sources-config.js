@@ -0,0 +1,138 @@
+import { MODULE_ID } from "./constants.js";
+import { SOURCE_CATEGORIES, STORAGE_TYPES, describeSource, getImageSources, setImageSources } from "./image-sources.js";
+import { getFilePickerClass } from "./utils.js";
+
+const CATEGORY_LABELS = {
+  [SOURCE_CATEGORIES.NPC]: "SOCIALENCOUNTERS.ImageSources.Npc",
+  [SOURCE_CATEGORIES.BACKGROUND]: "SOCIALENCOUNTERS.ImageSources.Background"
+};
+
+function blankSource() {
+  return { id: foundry.utils.randomID(), source: "data", bucket: "", path: "", label: "" };
+}
+
+/** Settings menu for the ordered NPC and background source lists. */
+export class ImageSourcesConfig extends FormApplication {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    // Rows are edited loosely here and only validated on save, so a half-filled row survives re-renders.
+    this.sources = foundry.utils.deepClone(getImageSources());
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-image-sources`,
+      classes: [MODULE_ID, "image-sources-config"],
+      template: `modules/${MODULE_ID}/templates/image-sources-config.hbs`,
+      title: game.i18n.localize("SOCIALENCOUNTERS.ImageSources.Title"),
+      width: 680,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  getData() {
+    const buckets = game.data?.files?.s3?.buckets ?? [];
+    return {
+      appId: this.appId,
+      buckets,
+      categories: Object.values(SOURCE_CATEGORIES).map((category) => {
+        const rows = this.sources[category];
+        return {
+          key: category,
+          title: game.i18n.localize(CATEGORY_LABELS[category]),
+          sources: rows.map((row, index) => ({
+            ...row,
+            index,
+            isS3: row.source === "s3",
+            isFirst: index === 0,
+            isLast: index === rows.length - 1,
+            placeholder: row.path || row.bucket ? describeSource(row) : "",
+            storageOptions: STORAGE_TYPES.map((value) => ({
+              value,
+              label: game.i18n.localize(`SOCIALENCOUNTERS.ImageSources.Storage.${value}`),
+              selected: value === row.source
+            }))
+          }))
+        };
+      })
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('[data-action="add-source"]').on("click", (event) => {
+      this.#readForm();
+      this.sources[event.currentTarget.dataset.category]?.push(blankSource());
+      this.render(false);
+    });
+
+    html.find('[data-action="move-source"]').on("click", (event) => {
+      const { category, index, direction } = event.currentTarget.dataset;
+      this.#readForm();
+      const rows = this.sources[category];
+      const from = Number(index);
+      const to = from + (direction === "up" ? -1 : 1);
+      if (!rows || to < 0 || to >= rows.length) return;
+      [rows[from], rows[to]] = [rows[to], rows[from]];
+      this.render(false);
+    });
+
+    html.find('[data-action="remove-source"]').on("click", (event) => {
+      const { category, index } = event.currentTarget.dataset;
+      this.#readForm();
+      this.sources[category]?.splice(Number(index), 1);
+      this.render(false);
+    });
+
+    html.find('[data-action="pick-path"]').on("click", (event) => {
+      const { category, index } = event.currentTarget.dataset;
+      this.#readForm();
+      this.#pickPath(category, Number(index));
+    });
+
+    html.find('select[name$=".source"]').on("change", () => {
+      this.#readForm();
+      this.render(false);
+    });
+  }
+
+  #readForm() {
+    if (!this.form) return;
+    const data = foundry.utils.expandObject(this._getSubmitData());
+    for (const category of Object.values(SOURCE_CATEGORIES)) {
+      const rows = Object.values(data[category] ?? {});
+      this.sources[category] = this.sources[category].map((row, index) => ({ ...row, ...(rows[index] ?? {}) }));
+    }
+  }
+
+  #pickPath(category, index) {
+    const row = this.sources[category]?.[index];
+    if (!row) return;
+    const FilePickerClass = getFilePickerClass();
+    const picker = new FilePickerClass({
+      type: "folder",
+      current: row.path,
+      activeSource: row.source,
+      callback: (path, instance = picker) => {
+        row.path = path;
+        row.source = STORAGE_TYPES.includes(instance?.activeSource) ? instance.activeSource : row.source;
+        if (row.source === "s3") row.bucket = instance?.sources?.s3?.bucket ?? row.bucket;
+        this.render(false);
+      }
+    });
+    if (row.source === "s3" && row.bucket && picker.sources?.s3) picker.sources.s3.bucket = row.bucket;
+    picker.render(true);
+  }
+
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const changes = {};
+    for (const category of Object.values(SOURCE_CATEGORIES)) {
+      const rows = Object.values(data[category] ?? {});
+      changes[category] = this.sources[category].map((row, index) => ({ ...row, ...(rows[index] ?? {}) }));
+    }
+    await setImageSources(changes);
+  }
+}
@@ -0,0 +1,78 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+export const SOURCE_CATEGORIES = {
+  NPC: "npc",
+  BACKGROUND: "background"
+};
+
+export const STORAGE_TYPES = ["data", "public", "s3"];
+
+// The single-folder settings these lists replace; read once so existing worlds keep their folders.
+const LEGACY_KEYS = {
+  [SOURCE_CATEGORIES.NPC]: SETTING_KEYS.NPC_FOLDER,
+  [SOURCE_CATEGORIES.BACKGROUND]: SETTING_KEYS.BACKGROUND_FOLDER
+};
+
+function cleanPath(value) {
+  return typeof value === "string" ? value.trim().replace(/\\+/g, "/").replace(/\/+$/, "") : "";
+}
+
+/** Where a source points, e.g. `data:art/npcs` or `s3:my-bucket/portraits`. */
+export function describeSource(source) {
+  const location = source.source === "s3" ? [source.bucket, source.path].filter(Boolean).join("/") : source.path;
+  return `${source.source}:${location}`;
+}
+
+export function normalizeImageSource(raw, fallbackId = null) {
+  if (!raw || typeof raw !== "object") return null;
+  const source = STORAGE_TYPES.includes(raw.source) ? raw.source : "data";
+  const bucket = source === "s3" && typeof raw.bucket === "string" ? raw.bucket.trim() : "";
+  const path = cleanPath(raw.path);
+  // A bucket root is a valid S3 source; an empty data path would browse the whole user data folder.
+  if (source === "s3" ? !bucket : !path) return null;
+
+  const normalized = {
+    id: typeof raw.id === "string" && raw.id ? raw.id : fallbackId ?? foundry.utils.randomID(),
+    source,
+    bucket,
+    path,
+    label: ""
+  };
+  normalized.label = (typeof raw.label === "string" && raw.label.trim()) || describeSource(normalized);
+  return normalized;
+}
+
+function legacySource(category) {
+  const value = cleanPath(game.settings.get(MODULE_ID, LEGACY_KEYS[category]));
+  if (!value) return [];
+  const match = value.match(/^([^:]+):(.*)$/);
+  const prefixed = match && STORAGE_TYPES.includes(match[1]) && !match[2].startsWith("//");
+  const source = normalizeImageSource(
+    { source: prefixed ? match[1] : "data", path: prefixed ? match[2] : value },
+    `legacy-${category}`
+  );
+  return source ? [source] : [];
+}
+
+/** Ordered sources per category; earlier sources win when the same file shows up twice. */
+export function getImageSources() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.IMAGE_SOURCES);
+  const sources = {};
+  for (const category of Object.values(SOURCE_CATEGORIES)) {
+    const list = stored?.[category];
+    sources[category] = Array.isArray(list)
+      ? list.map((entry, index) => normalizeImageSource(entry, `${category}-${index}`)).filter(Boolean)
+      : legacySource(category);
+  }
+  return sources;
+}
+
+export async function setImageSources(changes) {
+  const next = { ...getImageSources() };
+  for (const category of Object.values(SOURCE_CATEGORIES)) {
+    if (!Array.isArray(changes?.[category])) continue;
+    next[category] = changes[category].map((entry) => normalizeImageSource(entry)).filter(Boolean);
+  }
+  await game.settings.set(MODULE_ID, SETTING_KEYS.IMAGE_SOURCES, next);
+  return next;
+}
@@ -1,10 +1,186 @@
-import { MODULE_ID, SOCKET_CHANNEL, SOCKET_EVENTS } from "./constants.js";
+import {
+  DISPLAY_MODES,
+  HOOKS,
+  MODULE_ID,
+  NAVIGATION_MODES,
+  SETTING_KEYS,
+  SOCKET_CHANNEL,
+  SOCKET_EVENTS,
+  STAGE_LAYOUTS
+} from "./constants.js";
+import { checkMessage, emitMessage } from "./protocol.js";
+import { HANDOFF_ACTIONS, canPresent, canTakeOver, getHandoffOptions, presenterName } from "./presenter.js";
+import { getNameplate, normalizePublicNameplates, publicNameplates, updateNameplate } from "./nameplates.js";
+import { describeRecipients, getRecipientOptions, isRecipient, normalizeRecipients, updateRecipients } from "./recipients.js";
+import { openActorSheet } from "./actors.js";
+import { getThumbnailSource, hydrateThumbnails, preloadMedia } from "./media-cache.js";
+import {
+  applyWindowGeometry,
+  getDisplayMode,
+  normalizeDisplayMode,
+  positionWindow,
+  saveWindowGeometry,
+  setDisplayMode
+} from "./display-mode.js";
+import { CuePlayer, getAudioCue, normalizePublicCues, publicCues, resolveCue } from "./audio-cues.js";
+import {
+  normalizeAutoplay,
+  pauseAutoplay,
+  restartSlide,
+  resumeAutoplay,
+  slideDuration,
+  slideElapsed,
+  stopAutoplay
+} from "./autoplay.js";
+import {
+  PING_DURATION_MS,
+  PING_TARGETS,
+  backgroundRect,
+  canPing,
+  mediaRect,
+  naturalSize,
+  normalizePing,
+  userColor
+} from "./pings.js";
+import { getTransitionSettings, normalizeTransition, swapLayers } from "./transitions.js";
+import {
+  createViewTransform,
+  isDefaultView,
+  normalizeViewTransform,
+  panView,
+  startKenBurns,
+  viewStyle,
+  zoomView
+} from "./view-transform.js";
+import { isVideoFile } from "./utils.js";
+import { applyVideoState, captureVideoState, createVideoState, normalizeVideoState } from "./video.js";
 
 const BODY_VIEWER_CLASS = `${MODULE_ID}-viewer-open`;
 const TEMPLATE_PATH = `modules/${MODULE_ID}/templates/image-viewer.hbs`;
+const PARTIAL_PATHS = [`modules/${MODULE_ID}/templates/partials/nameplate.hbs`];
+
+const STATE_REQUEST_COOLDOWN_MS = 2000;
+const VIDEO_HEARTBEAT_MS = 5000;
+const VIEW_BROADCAST_MS = 50;
+const ZOOM_STEP = 1.15;
+const DRAG_THRESHOLD_PX = 3;
+const WINDOW_SAVE_DELAY_MS = 500;
+
+const DISPLAY_MODE_ICONS = {
+  [DISPLAY_MODES.FULLSCREEN]: "fa-expand",
+  [DISPLAY_MODES.WINDOW]: "fa-window-restore",
+  [DISPLAY_MODES.MINIMIZED]: "fa-window-minimize"
+};
+
+const RECIPIENT_FILTERED_EVENTS = new Set([
+  SOCKET_EVENTS.SHOW,
+  SOCKET_EVENTS.UPDATE,
+  SOCKET_EVENTS.VIDEO,
+  SOCKET_EVENTS.VIEW
+]);
+
+// Messages about one particular showing; SHOW and STATE start or replace the session instead.
+const SESSION_EVENTS = new Set([
+  SOCKET_EVENTS.UPDATE,
+  SOCKET_EVENTS.CLOSE,
+  SOCKET_EVENTS.VIDEO,
+  SOCKET_EVENTS.NAVIGATE,
+  SOCKET_EVENTS.VIEW,
+  SOCKET_EVENTS.PING,
+  SOCKET_EVENTS.HANDOFF
+]);
+
+// Session messages that carry state worth catching up on when they belong to a showing we missed.
+const STATEFUL_EVENTS = new Set([SOCKET_EVENTS.UPDATE, SOCKET_EVENTS.VIDEO, SOCKET_EVENTS.VIEW]);
+
+// Only the current presenter drives the shared viewer; these from anyone else are ignored.
+const PRESENTER_EVENTS = new Set([
+  SOCKET_EVENTS.SHOW,
+  SOCKET_EVENTS.UPDATE,
+  SOCKET_EVENTS.CLOSE,
+  SOCKET_EVENTS.STATE,
+  SOCKET_EVENTS.VIDEO,
+  SOCKET_EVENTS.VIEW,
+  SOCKET_EVENTS.PREFETCH
+]);
 
 const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
 
+function now() {
+  return game.time?.serverTime ?? Date.now();
+}
+
+/** When two presenters launch at once, every client keeps the showing that started first. */
+function startedFirst(payload, presentation) {
+  const startedAt = isFiniteNumber(payload.startedAt) ? payload.startedAt : Infinity;
+  if (startedAt !== presentation.startedAt) return startedAt < presentation.startedAt;
+  return payload.userId < presentation.presenterId;
+}
+
+function isActiveGM() {
+  const activeGM = game.users?.activeGM;
+  if (activeGM) return activeGM.id === game.user?.id;
+  return Boolean(game.user?.isGM);
+}
+
+function normalizeNavigation(navigation) {
+  const modes = Object.values(NAVIGATION_MODES);
+  let mode = navigation?.mode;
+  if (!modes.includes(mode)) {
+    const configured = game.settings?.get?.(MODULE_ID, SETTING_KEYS.NAVIGATION_MODE);
+    mode = modes.includes(configured) ? configured : NAVIGATION_MODES.LOCKED;
+  }
+  const delegateId = typeof navigation?.delegateId === "string" && navigation.delegateId ? navigation.delegateId : null;
+  // Presenter mode without a delegate is just the GM driving.
+  if (mode === NAVIGATION_MODES.PRESENTER && !delegateId) {
+    return { mode: NAVIGATION_MODES.LOCKED, delegateId: null };
+  }
+  return { mode, delegateId: mode === NAVIGATION_MODES.PRESENTER ? delegateId : null };
+}
+
+function normalizeStage(stage, total) {
+  const layout = Object.values(STAGE_LAYOUTS).includes(stage?.layout) ? stage.layout : STAGE_LAYOUTS.SINGLE;
+  const members = Array.isArray(stage?.members)
+    ? Array.from(new Set(stage.members.filter((idx) => Number.isInteger(idx) && idx >= 0 && idx < total)))
+    : [];
+  return { layout, members };
+}
+
+/** Constructor options for a viewer described by a show/update/state payload. */
+function optionsFromPayload(payload) {
+  const {
+    images,
+    background,
+    index = 0,
+    recipients = null,
+    navigation = null,
+    stage = null,
+    nameplates = null,
+    transition = null,
+    autoplay = null,
+    cues = null,
+    session = null
+  } = payload;
+  return {
+    session,
+    images,
+    background,
+    startIndex: index ?? 0,
+    recipients,
+    navigation,
+    stage,
+    nameplates,
+    transition,
+    autoplay,
+    cues
+  };
+}
+
+function samePaths(left, right) {
+  if (left.length !== right.length) return false;
+  return left.every((path, idx) => path === right[idx]);
+}
+
 function clampIndex(index, total) {
   if (!isFiniteNumber(index)) return 0;
   if (total <= 0) return 0;
@@ -27,42 +203,135 @@ function normalizeBackground(background) {
 }
 
 export class ImageViewer {
-  constructor({ images, background = null, startIndex = 0 } = {}) {
+  constructor({
+    images,
+    background = null,
+    startIndex = 0,
+    recipients = null,
+    navigation = null,
+    stage = null,
+    nameplates = null,
+    links = {},
+    transition = null,
+    autoplay = null,
+    cues = null,
+    session = null
+  } = {}) {
+    // One id per showing, shared by every client displaying it; messages from other showings are ignored.
+    this.session = typeof session === "string" && session ? session : foundry.utils.randomID();
     this.images = normalizePaths(images);
     this.background = normalizeBackground(background);
     this.index = clampIndex(startIndex, this.images.length);
+    this.gmIndex = this.index;
+    this.recipients = normalizeRecipients(recipients);
+    this.navigation = normalizeNavigation(navigation);
+    this.stage = normalizeStage(stage, this.images.length);
+    this.nameplates = normalizePublicNameplates(nameplates);
+    // Actor links open sheets and seed nameplates on the presenting client and aren't part of viewer messages.
+    // They are not secret: presets and scene encounters keep them in world data every player can read.
+    this.links = links && typeof links === "object" ? { ...links } : {};
+    this.transition = normalizeTransition(transition);
+    this.autoplay = normalizeAutoplay(autoplay);
+    this._autoplayTimer = null;
+    this.cues = normalizePublicCues(cues);
+    this._cuePlayer = new CuePlayer();
+    this.view = createViewTransform();
+    this._viewBroadcastTimer = null;
+    this._drag = null;
+    this._suppressClick = false;
+    this._pingMode = false;
+    this._handoffRequested = false;
+    // How this client displays the viewer; never broadcast, every user picks their own.
+    this.displayMode = getDisplayMode();
+    this._restoreMode = this.displayMode === DISPLAY_MODES.MINIMIZED ? DISPLAY_MODES.FULLSCREEN : this.displayMode;
+    this._windowDrag = null;
+    this._resizeObserver = null;
+    this._saveWindow = foundry.utils.debounce(() => {
+      if (this.displayMode === DISPLAY_MODES.WINDOW) void saveWindowGeometry(this.element);
+    }, WINDOW_SAVE_DELAY_MS);
+    this._recipientsOpen = false;
     this.element = null;
     this._renderPromise = null;
     this._closingPromise = null;
     this._keysAttached = false;
+    this.video = createVideoState();
+    this._videoHeartbeat = null;
+    this._announced = { index: this.index, background: this.background };
   }
 
-  static async show({ images, background, startIndex = 0, broadcast = true } = {}) {
+  static async show({
+    images,
+    background,
+    startIndex = 0,
+    recipients = null,
+    navigation = null,
+    stage = null,
+    nameplates = null,
+    links = {},
+    transition = null,
+    autoplay = null,
+    cues = null,
+    session = null,
+    broadcast = true
+  } = {}) {
     this.registerSocket();
     const prepared = normalizePaths(images);
     if (!prepared.length) return null;
 
+    // Users who may not present still get a viewer of their own, it just isn't shared.
+    const presenting = broadcast && canPresent();
+    const current = this._presentation;
+    if (presenting && current && current.presenterId !== game.user.id && !canTakeOver(game.user, current.presenterId)) {
+      ui.notifications?.warn(game.i18n.format("SOCIALENCOUNTERS.Presenter.Busy", { name: presenterName(current.presenterId) }));
+      return null;
+    }
+
     if (this._instance) {
       await this.closeActive({ animate: false, broadcast: false });
     }
 
-    const instance = new this({ images: prepared, background, startIndex });
+    const instance = new this({
+      images: prepared,
+      background,
+      startIndex,
+      recipients,
+      navigation,
+      stage,
+      nameplates,
+      links,
+      transition,
+      autoplay,
+      cues,
+      session
+    });
     this._instance = instance;
+    if (presenting) {
+      this._presentation = { session: instance.session, presenterId: game.user.id, startedAt: now() };
+    }
 
     try {
       await instance.render();
     } catch (error) {
       console.error(`${MODULE_ID} | Failed to render viewer`, error);
       this._instance = null;
+      if (presenting) this._presentation = current;
       throw error;
     }
+    Hooks.callAll(HOOKS.SHOW, instance.getState());
 
-    if (broadcast && game.user?.isGM) {
+    if (presenting) {
       this.broadcastShow({
         images: Array.from(instance.images),
         background: instance.background,
-        index: instance.index
+        index: instance.index,
+        recipients: instance.recipients,
+        navigation: instance.navigation,
+        stage: instance.stage,
+        nameplates: instance.publicNameplates(),
+        autoplay: instance.autoplay,
+        cues: instance.publicCues()
       });
+      if (game.settings.get(MODULE_ID, SETTING_KEYS.PREFETCH_ON_LAUNCH)) instance.prefetchAll();
     }
 
     return instance;
@@ -96,15 +365,16 @@ export class ImageViewer {
 
     if (!this.element) {
       this.element = document.createElement("section");
-      this.element.classList.add("app", MODULE_ID, "image-viewer", "viewer-fullscreen");
+      this.element.classList.add("app", MODULE_ID, "image-viewer");
       this.element.id = `${MODULE_ID}-viewer`;
       this.element.setAttribute("role", "dialog");
-      this.element.setAttribute("aria-modal", "true");
       document.body.appendChild(this.element);
+      this.#syncDisplayMode({ geometry: true });
+      // Native CSS resizing has no end event, so persist the window size as it settles.
+      this._resizeObserver = new ResizeObserver(this._saveWindow);
+      this._resizeObserver.observe(this.element);
     }
 
-    document.body.classList.add(BODY_VIEWER_CLASS);
-
     const data = this.getTemplateData();
     let html;
     try {
@@ -114,10 +384,152 @@ export class ImageViewer {
       throw error;
     }
 
-    this.element.innerHTML = html;
+    if (this.element.firstElementChild) this.#patchViewer(html);
+    else this.element.innerHTML = html;
+    this.#syncDisplayMode();
     this.#attachDomListeners();
     this.#attachKeyHandler();
     this.#ensureActiveThumbVisible();
+    hydrateThumbnails(this.element);
+    this.#preloadNeighbours();
+    this.#syncVideo();
+    this.#applyView();
+    this.#syncAudio();
+    this.#scheduleAutoplay();
+    this.#announceChanges();
+  }
+
+  /**
+   * Bring the live DOM in line with freshly rendered markup without replacing it wholesale.
+   * The backdrop and stage swap layers with the configured transition only when what they
+   * show has changed; the controls are replaced, but an unchanged thumbnail strip is kept.
+   */
+  #patchViewer(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html.trim();
+    const next = template.content.firstElementChild;
+    const live = this.element.firstElementChild;
+    if (!next || !live) return;
+
+    if (this.isPresenting) this.transition = getTransitionSettings();
+    const { portrait, background, duration } = this.transition;
+    const direction = this.index < this._announced.index ? "back" : "forward";
+
+    live.className = next.className;
+    this.#patchLayers(
+      live.querySelector(".viewer__backdrop"),
+      next.querySelector(".viewer__backdrop"),
+      { type: background, duration, direction: "forward" }
+    );
+    this.#patchLayers(
+      live.querySelector(".viewer__stage"),
+      next.querySelector(".viewer__stage"),
+      { type: portrait, duration, direction }
+    );
+
+    const liveControls = live.querySelector(".viewer__controls");
+    const nextControls = next.querySelector(".viewer__controls");
+    if (!liveControls || !nextControls) return;
+    this.#keepThumbnails(liveControls, nextControls);
+    liveControls.replaceWith(nextControls);
+  }
+
+  #patchLayers(liveContainer, nextContainer, transition) {
+    if (!liveContainer || !nextContainer) return;
+    const incoming = nextContainer.firstElementChild ?? null;
+    const current = Array.from(liveContainer.children).find((layer) => !layer.classList.contains("is-leaving")) ?? null;
+
+    if ((current?.dataset.layerKey ?? null) !== (incoming?.dataset.layerKey ?? null)) {
+      swapLayers(liveContainer, incoming, transition);
+      return;
+    }
+    if (!current || current.isEqualNode(incoming)) return;
+
+    // Same portraits in the same seats: only speaker highlights and nameplates can differ.
+    const liveFigures = current.querySelectorAll("figure");
+    const nextFigures = incoming.querySelectorAll("figure");
+    if (liveFigures.length !== nextFigures.length) {
+      current.replaceWith(incoming);
+      return;
+    }
+    liveFigures.forEach((figure, idx) => {
+      const source = nextFigures[idx];
+      for (const name of ["class", "style"]) {
+        const value = source.getAttribute(name);
+        if (value === null) figure.removeAttribute(name);
+        else figure.setAttribute(name, value);
+      }
+      const media = figure.querySelector("img, video");
+      const sourceMedia = source.querySelector("img, video");
+      for (const name of ["alt", "aria-label"]) {
+        const value = sourceMedia?.getAttribute(name);
+        if (media && value != null) media.setAttribute(name, value);
+      }
+      figure.querySelector(".viewer__nameplate")?.remove();
+      const caption = source.querySelector(".viewer__nameplate");
+      if (caption) figure.append(caption);
+    });
+  }
+
+  /** Reuse the live thumbnail strip when only the active thumbnail moved, so it keeps its scroll. */
+  #keepThumbnails(liveControls, nextControls) {
+    const liveStrip = liveControls.querySelector(".viewer__thumbnails");
+    const nextStrip = nextControls.querySelector(".viewer__thumbnails");
+    if (!liveStrip || !nextStrip) return;
+
+    const liveThumbs = liveStrip.querySelectorAll(".viewer__thumb");
+    const nextThumbs = nextStrip.querySelectorAll(".viewer__thumb");
+    if (liveThumbs.length !== nextThumbs.length) return;
+    liveThumbs.forEach((thumb, idx) => {
+      thumb.className = nextThumbs[idx].className;
+    });
+    if (liveStrip.isEqualNode(nextStrip)) nextStrip.replaceWith(liveStrip);
+  }
+
+  /** Warm the slides either side of the current one so stepping through never waits on the network. */
+  #preloadNeighbours() {
+    const count = this.images.length;
+    if (count < 2) return;
+    const neighbours = [this.index + 1, this.index - 1].map((idx) => this.images[(idx + count) % count]);
+    void preloadMedia(neighbours, { urgent: true });
+  }
+
+  /** Download the whole set here and, from the GM, on every recipient's client too. */
+  prefetchAll() {
+    const paths = [...this.images, this.background].filter(Boolean);
+    void preloadMedia(paths);
+    if (this.isPresenting) this.constructor.broadcastPrefetch(paths);
+  }
+
+  /** Fires the change hooks once the new index or background is actually on screen. */
+  #announceChanges() {
+    const previous = this._announced;
+    this._announced = { index: this.index, background: this.background };
+    if (previous.index !== this.index) {
+      Hooks.callAll(HOOKS.INDEX_CHANGED, this.getState(), { previous: previous.index });
+    }
+    if (previous.background !== this.background) {
+      Hooks.callAll(HOOKS.BACKGROUND_CHANGED, this.getState(), { previous: previous.background });
+    }
+  }
+
+  /** A detached snapshot of what this client is showing, as handed to API callers and hooks. */
+  getState() {
+    return {
+      images: Array.from(this.images),
+      current: this.images[this.index] ?? null,
+      index: this.index,
+      background: this.background,
+      recipients: this.recipients ? Array.from(this.recipients) : null,
+      navigation: { ...this.navigation },
+      stage: { ...this.stage, members: Array.from(this.stage.members) },
+      autoplay: {
+        playing: this.autoplay.playing,
+        interval: this.autoplay.interval,
+        loop: this.autoplay.loop,
+        durations: { ...this.autoplay.durations }
+      }
+    };
   }
 
   getTemplateData() {
@@ -135,19 +547,71 @@ export class ImageViewer {
       return label ?? `Image ${idx + 1}`;
     };
 
-    const thumbnails = this.images.map((path, idx) => ({
-      path,
-      index: idx,
-      label: labelFor(idx),
-      active: idx === this.index
-    }));
+    const thumbnails = this.images.map((path, idx) => {
+      const nameplate = this.#nameplateFor(path);
+      return {
+        path,
+        index: idx,
+        label: nameplate?.label ?? labelFor(idx),
+        nameplate,
+        active: idx === this.index,
+        isVideo: isVideoFile(path),
+        thumbnail: getThumbnailSource(path)
+      };
+    });
+
+    const isMultiStage = this.stage.layout !== STAGE_LAYOUTS.SINGLE;
+    const memberIndices = this.stage.members.length ? this.stage.members : [this.index];
+    const middle = (memberIndices.length - 1) / 2;
+    const stageMembers = isMultiStage
+      ? memberIndices.map((idx, position) => ({
+        ...thumbnails[idx],
+        speaker: idx === this.index,
+        // 0 at the centre seat, 1 at the outermost seats; the council layout curves on this.
+        seatOffset: middle > 0 ? Math.abs(position - middle) / middle : 0
+      }))
+      : [];
+    const onStage = new Set(memberIndices);
+    for (const thumb of thumbnails) thumb.onStage = isMultiStage && onStage.has(thumb.index);
 
     const current = thumbnails[this.index] ?? null;
+    const currentIsVideo = !isMultiStage && Boolean(current?.isVideo);
+    const backgroundIsVideo = isVideoFile(this.background);
 
     return {
+      // Layers whose key changes are swapped with a transition; anything else is patched in place.
+      stageKey: isMultiStage ? `${this.stage.layout}:${memberIndices.join(",")}` : `${this.index}:${current?.path ?? ""}`,
       background: this.background,
+      backgroundIsVideo,
       current: current?.path ?? null,
+      currentIsVideo,
       currentLabel: current?.label ?? "",
+      currentNameplate: current?.nameplate ?? null,
+      videoControls: this.isPresenting && (currentIsVideo || backgroundIsVideo),
+      isPresenter: this.isPresenting,
+      presenter: this.#presenterTemplateData(),
+      recipientOptions: this.isPresenting ? getRecipientOptions(this.recipients) : [],
+      recipientsEveryone: this.recipients === null,
+      recipientsLabel: this.isPresenting ? describeRecipients(this.recipients) : "",
+      recipientsOpen: this._recipientsOpen,
+      navigation: this.#navigationTemplateData(),
+      isMultiStage,
+      stageLayout: this.stage.layout,
+      stageMembers,
+      stageLayouts: Object.values(STAGE_LAYOUTS).map((value) => ({
+        value,
+        label: game.i18n.localize(`SOCIALENCOUNTERS.Stage.${value.charAt(0).toUpperCase()}${value.slice(1)}`),
+        selected: value === this.stage.layout
+      })),
+      video: this.video,
+      autoplay: this.#autoplayTemplateData(),
+      displayModes: Object.values(DISPLAY_MODES).map((value) => ({
+        value,
+        icon: DISPLAY_MODE_ICONS[value],
+        label: game.i18n.localize(`SOCIALENCOUNTERS.DisplayMode.${value.charAt(0).toUpperCase()}${value.slice(1)}`)
+      })),
+      view: { kenBurns: this.view.kenBurns, framed: !isDefaultView(this.view) },
+      ping: { available: canPing(), active: this._pingMode && canPing() },
       thumbnails,
       index: total ? this.index + 1 : 0,
       total
@@ -166,11 +630,18 @@ export class ImageViewer {
         }
       }
 
-      if (broadcast && game.user?.isGM) {
-        this.constructor.broadcastClose();
+      if (broadcast && this.isPresenting) {
+        this.constructor.broadcastClose(this.session);
+        this.constructor._presentation = null;
       }
 
       this.#detachKeyHandler();
+      this.#stopVideoHeartbeat();
+      this.#clearAutoplayTimer();
+      this._cuePlayer.stopAll();
+      clearTimeout(this._viewBroadcastTimer);
+      this._resizeObserver?.disconnect();
+      this._resizeObserver = null;
 
       if (this.element?.parentElement) {
         this.element.remove();
@@ -182,6 +653,7 @@ export class ImageViewer {
       if (this.constructor._instance === this) {
         this.constructor._instance = null;
       }
+      Hooks.callAll(HOOKS.CLOSE, this.getState());
     };
 
     this._closingPromise = performClose()
@@ -205,9 +677,667 @@ export class ImageViewer {
     const image = this.element.querySelector(".viewer__image");
     image?.addEventListener("click", this.#handleImageClick);
 
+    // Both capture so a click never also advances the slide or picks a speaker.
+    this.element.addEventListener("click", this.#handleMinimizedClick, { capture: true });
+    this.element.addEventListener("click", this.#handlePingClick, { capture: true });
+    const pingToggle = this.element.querySelector('[data-action="ping-toggle"]');
+    pingToggle?.addEventListener("click", this.#handlePingToggle);
+
+    this.element
+      .querySelectorAll('[data-action="display-mode"]')
+      .forEach((button) => button.addEventListener("click", this.#handleDisplayModeClick));
+    const windowBar = this.element.querySelector(".viewer__window-bar");
+    windowBar?.addEventListener("pointerdown", this.#handleWindowPointerDown);
+    windowBar?.addEventListener("pointermove", this.#handleWindowPointerMove);
+    windowBar?.addEventListener("pointerup", this.#handleWindowPointerUp);
+    windowBar?.addEventListener("pointercancel", this.#handleWindowPointerUp);
+
+    if (this.isPresenting) {
+      const stage = this.element.querySelector(".viewer__stage");
+      stage?.addEventListener("wheel", this.#handleStageWheel, { passive: false });
+      stage?.addEventListener("pointerdown", this.#handleStagePointerDown);
+      stage?.addEventListener("pointermove", this.#handleStagePointerMove);
+      stage?.addEventListener("pointerup", this.#handleStagePointerUp);
+      stage?.addEventListener("pointercancel", this.#handleStagePointerUp);
+    }
+
+    this.element
+      .querySelectorAll('[data-action^="view-"]')
+      .forEach((button) => button.addEventListener("click", this.#handleViewControl));
+
+    const prefetchButton = this.element.querySelector('[data-action="prefetch"]');
+    prefetchButton?.addEventListener("click", this.#handlePrefetchClick);
+
+    this.element
+      .querySelectorAll('[data-action^="presenter-"]')
+      .forEach((control) => control.addEventListener(
+        control.tagName === "SELECT" ? "change" : "click",
+        this.#handlePresenterControl
+      ));
+
+    this.element
+      .querySelectorAll('[data-action="select-speaker"]')
+      .forEach((member) => member.addEventListener("click", this.#handleThumbClick));
+
+    this.element
+      .querySelectorAll('[data-action="toggle-stage"]')
+      .forEach((button) => button.addEventListener("click", this.#handleStageToggle));
+
+    this.element
+      .querySelectorAll('[data-action^="nameplate-"]')
+      .forEach((button) => button.addEventListener("click", this.#handleNameplateAction));
+
+    const layoutSelect = this.element.querySelector('[data-action="stage-layout"]');
+    layoutSelect?.addEventListener("change", this.#handleLayoutChange);
+
     this.element
       .querySelectorAll('[data-action="select-image"]')
       .forEach((button) => button.addEventListener("click", this.#handleThumbClick));
+
+    this.element
+      .querySelectorAll('[data-action^="video-"]')
+      .forEach((control) => {
+        const eventName = control.dataset.action === "video-seek" ? "change" : "click";
+        control.addEventListener(eventName, this.#handleVideoControl);
+      });
+
+    const recipientPanel = this.element.querySelector(".viewer__recipients");
+    recipientPanel?.addEventListener("toggle", this.#handleRecipientPanelToggle);
+    recipientPanel
+      ?.querySelectorAll('input[data-action^="recipient"]')
+      .forEach((input) => input.addEventListener("change", this.#handleRecipientChange));
+
+    this.element
+      .querySelectorAll('select[data-action^="navigation-"]')
+      .forEach((select) => select.addEventListener("change", this.#handleNavigationChange));
+
+    this.element
+      .querySelectorAll('[data-action^="autoplay-"]')
+      .forEach((control) => {
+        const eventName = control.tagName === "INPUT" ? "change" : "click";
+        control.addEventListener(eventName, this.#handleAutoplayControl);
+      });
+
+    const followButton = this.element.querySelector('[data-action="follow-gm"]');
+    followButton?.addEventListener("click", this.#handleFollowClick);
+  }
+
+  /**
+   * Nameplate display data for a portrait. GMs read the stored nameplate and always see the
+   * real name; players only ever hold what the GM broadcast for them.
+   */
+  #nameplateFor(path) {
+    if (!game.settings.get(MODULE_ID, SETTING_KEYS.SHOW_NAMEPLATES)) return null;
+    const isGM = Boolean(game.user?.isGM);
+    const actorUuid = isGM ? this.links[path] ?? null : null;
+    // A presenter who isn't a GM works from the public copy, just like the players they show it to.
+    const shared = this.isPresenting ? publicNameplates([path])[path] : this.nameplates[path];
+    const nameplate = isGM ? getNameplate(path) ?? this.#actorNameplate(path) : shared;
+    if (!nameplate) {
+      return isGM ? { path, isGM, actorUuid, empty: true } : null;
+    }
+
+    const unknown = game.i18n.localize("SOCIALENCOUNTERS.Nameplate.Unknown");
+    const visible = isGM || nameplate.revealed;
+    return {
+      path,
+      isGM,
+      actorUuid,
+      empty: false,
+      revealed: nameplate.revealed,
+      label: visible ? nameplate.name || unknown : unknown,
+      title: visible ? nameplate.title : "",
+      faction: visible ? nameplate.faction : ""
+    };
+  }
+
+  /** A hidden nameplate seeded from the linked actor, used until the GM stores one of their own. */
+  #actorNameplate(path) {
+    const uuid = this.links[path];
+    const name = uuid ? fromUuidSync(uuid)?.name : null;
+    if (!name) return null;
+    return { name, title: "", faction: "", revealed: false };
+  }
+
+  /** Nameplates safe to send to players, including hidden placeholders for linked actors. */
+  publicNameplates() {
+    const visible = publicNameplates(this.images);
+    for (const path of this.images) {
+      if (visible[path] || !this.#actorNameplate(path)) continue;
+      visible[path] = { name: "", title: "", faction: "", revealed: false };
+    }
+    return visible;
+  }
+
+  async #toggleNameplateReveal(path) {
+    const nameplate = getNameplate(path) ?? this.#actorNameplate(path);
+    if (!nameplate) return;
+    await updateNameplate(path, { ...nameplate, revealed: !nameplate.revealed });
+    this.constructor.syncWithPlayers();
+  }
+
+  async #editNameplate(path) {
+    const nameplate = getNameplate(path)
+      ?? this.#actorNameplate(path)
+      ?? { name: "", title: "", faction: "", revealed: false };
+    const escape = foundry.utils.escapeHTML;
+    const field = (name, value) => `
+      <div class="form-group">
+        <label>${game.i18n.localize(`SOCIALENCOUNTERS.Nameplate.${name.charAt(0).toUpperCase()}${name.slice(1)}`)}</label>
+        <input type="text" name="${name}" value="${escape(value)}">
+      </div>`;
+
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const result = await DialogV2.prompt({
+      window: { title: game.i18n.localize("SOCIALENCOUNTERS.Nameplate.Edit") },
+      content: `${field("name", nameplate.name)}${field("title", nameplate.title)}${field("faction", nameplate.faction)}`,
+      ok: {
+        label: game.i18n.localize("SOCIALENCOUNTERS.Nameplate.Save"),
+        callback: (event, button) => {
+          const { elements } = button.form;
+          return { name: elements.name.value, title: elements.title.value, faction: elements.faction.value };
+        }
+      },
+      rejectClose: false
+    });
+    if (!result) return;
+    await updateNameplate(path, result);
+    this.constructor.syncWithPlayers();
+  }
+
+  async #openLinkedActor(uuid) {
+    if (!uuid) return;
+    const sheet = await openActorSheet(uuid);
+    const element = sheet?.element?.[0] ?? sheet?.element;
+    // The viewer covers the whole screen, so lift the sheet above it.
+    element?.classList?.add(`${MODULE_ID}-above-viewer`);
+  }
+
+  /** The user driving the shared viewer, as far as this client knows. */
+  get presenterId() {
+    return this.constructor._presentation?.presenterId ?? null;
+  }
+
+  /** Whether this client drives the shared viewer; only the presenter broadcasts changes. */
+  get isPresenting() {
+    return Boolean(game.user) && this.presenterId === game.user.id;
+  }
+
+  #presenterTemplateData() {
+    const presenterId = this.presenterId;
+    const presenting = this.isPresenting;
+    return {
+      // Players who could never present have nothing to do with the hand-off controls.
+      visible: Boolean(presenterId) && canPresent(),
+      isSelf: presenting,
+      label: presenting
+        ? game.i18n.localize("SOCIALENCOUNTERS.Presenter.You")
+        : game.i18n.format("SOCIALENCOUNTERS.Presenter.Current", { name: presenterName(presenterId) }),
+      canTakeOver: !presenting && canTakeOver(game.user, presenterId),
+      requested: this._handoffRequested,
+      handoffOptions: presenting ? getHandoffOptions(presenterId, this.recipients) : []
+    };
+  }
+
+  /** Pass the shared viewer to another user; they start presenting straight away. */
+  handOff(userId) {
+    if (!this.isPresenting || userId === game.user?.id || !canPresent(game.users?.get(userId))) return;
+    this.constructor.broadcastHandoff(HANDOFF_ACTIONS.ASSIGN, { presenterId: userId });
+    this.constructor.#applyPresenter(userId);
+  }
+
+  /** Become the presenter without asking, where `canTakeOver` allows it. */
+  takeOver() {
+    if (this.isPresenting || !canTakeOver(game.user, this.presenterId)) return;
+    this.constructor.broadcastHandoff(HANDOFF_ACTIONS.ASSIGN, { presenterId: game.user.id });
+    this.constructor.#applyPresenter(game.user.id);
+    // Whatever this client was showing becomes the shared state.
+    this.constructor.syncWithPlayers({ includeImages: true });
+  }
+
+  /** Ask the current presenter to hand over. */
+  requestPresenter() {
+    if (this.isPresenting || this._handoffRequested || !canPresent() || !this.presenterId) return;
+    this._handoffRequested = true;
+    this.constructor.broadcastHandoff(HANDOFF_ACTIONS.REQUEST, { targetUserId: this.presenterId });
+    ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.Presenter.Requested", { name: presenterName(this.presenterId) }));
+    this.#queueRender();
+  }
+
+  async #confirmHandoff(requester) {
+    if (!this.isPresenting || !canPresent(requester)) return;
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const confirmed = await DialogV2.confirm({
+      window: { title: game.i18n.localize("SOCIALENCOUNTERS.Presenter.RequestTitle") },
+      content: `<p>${game.i18n.format("SOCIALENCOUNTERS.Presenter.RequestConfirm", { name: foundry.utils.escapeHTML(requester.name) })}</p>`,
+      rejectClose: false
+    });
+    // Someone else may have taken over while the dialog was open.
+    if (!this.isPresenting) return;
+    if (confirmed) this.handOff(requester.id);
+    else this.constructor.broadcastHandoff(HANDOFF_ACTIONS.DECLINE, { targetUserId: requester.id });
+  }
+
+  #canNavigate() {
+    if (this.isPresenting) return true;
+    const { mode, delegateId } = this.navigation;
+    if (mode === NAVIGATION_MODES.FREE) return true;
+    return mode === NAVIGATION_MODES.PRESENTER && delegateId === game.user?.id;
+  }
+
+  #navigationTemplateData() {
+    const { mode, delegateId } = this.navigation;
+    const presenting = this.isPresenting;
+    const delegateName = delegateId ? game.users?.get(delegateId)?.name ?? "" : "";
+    let status = "";
+    if (!presenting) {
+      if (mode === NAVIGATION_MODES.FREE) status = game.i18n.localize("SOCIALENCOUNTERS.Navigation.StatusFree");
+      else if (mode === NAVIGATION_MODES.PRESENTER && delegateId === game.user?.id) {
+        status = game.i18n.localize("SOCIALENCOUNTERS.Navigation.StatusPresenting");
+      } else if (mode === NAVIGATION_MODES.PRESENTER) {
+        status = game.i18n.format("SOCIALENCOUNTERS.Navigation.StatusDelegate", { name: delegateName });
+      } else status = game.i18n.localize("SOCIALENCOUNTERS.Navigation.StatusLocked");
+    }
+
+    return {
+      mode,
+      delegateId,
+      canNavigate: this.#canNavigate(),
+      isPresenterMode: mode === NAVIGATION_MODES.PRESENTER,
+      status,
+      showFollow: !presenting && mode === NAVIGATION_MODES.FREE && this.index !== this.gmIndex,
+      modes: presenting
+        ? Object.values(NAVIGATION_MODES).map((value) => ({
+          value,
+          label: game.i18n.localize(`SOCIALENCOUNTERS.Navigation.${value.charAt(0).toUpperCase()}${value.slice(1)}`),
+          selected: value === mode
+        }))
+        : [],
+      delegates: presenting
+        ? getRecipientOptions(this.recipients)
+          .filter((option) => option.selected)
+          .map((option) => ({ ...option, selected: option.id === delegateId }))
+        : []
+    };
+  }
+
+  setStage(stage, { broadcast = true } = {}) {
+    const next = normalizeStage(stage, this.images.length);
+    if (next.layout !== STAGE_LAYOUTS.SINGLE && !next.members.length) next.members = [this.index];
+    this.stage = next;
+    this.#queueRender();
+    if (broadcast && this.isPresenting) this.constructor.syncWithPlayers();
+  }
+
+  setNavigation(navigation, { broadcast = true } = {}) {
+    this.navigation = normalizeNavigation(navigation);
+    this.gmIndex = this.index;
+    this.#queueRender();
+    if (broadcast && this.isPresenting) this.constructor.syncWithPlayers();
+  }
+
+  /**
+   * Apply the GM's index. In free mode a player who has wandered off keeps their place
+   * until they choose to follow again.
+   */
+  receiveIndex(index, navigation) {
+    if (typeof navigation !== "undefined") this.navigation = normalizeNavigation(navigation);
+    const following = this.index === this.gmIndex;
+    if (isFiniteNumber(index)) this.gmIndex = clampIndex(index, this.images.length);
+    if (this.isPresenting || this.navigation.mode !== NAVIGATION_MODES.FREE || following) {
+      this.index = this.gmIndex;
+    }
+  }
+
+  setRecipients(recipients, { broadcast = true } = {}) {
+    this.recipients = normalizeRecipients(recipients);
+    this.#refreshRecipientPicker();
+    // Send the full set so newly added players can open the viewer; removed players close theirs.
+    if (broadcast && this.isPresenting) this.constructor.syncWithPlayers({ includeImages: true });
+  }
+
+  #refreshRecipientPicker() {
+    const panel = this.element?.querySelector(".viewer__recipients");
+    if (!panel) return;
+    const summary = panel.querySelector(".viewer__recipients-label");
+    if (summary) summary.textContent = describeRecipients(this.recipients);
+    const everyone = panel.querySelector('[data-action="recipients-everyone"]');
+    if (everyone) everyone.checked = this.recipients === null;
+    for (const option of getRecipientOptions(this.recipients)) {
+      const input = panel.querySelector(`[data-action="recipient-toggle"][value="${option.id}"]`);
+      if (input) input.checked = option.selected;
+    }
+  }
+
+  /** The video whose playback is synchronized: the stage video, else a video background. */
+  #primaryVideo() {
+    return (
+      this.element?.querySelector(".viewer__stage-layer:not(.is-leaving) video.viewer__video") ??
+      this.element?.querySelector(".viewer__backdrop-layer:not(.is-leaving) .viewer__background-video") ??
+      null
+    );
+  }
+
+  #syncVideo() {
+    const video = this.#primaryVideo();
+    const path = video?.dataset.path ?? null;
+    if (this.video.path !== path) this.video = createVideoState(path);
+    this.#updateVideoHeartbeat();
+    if (!video) return;
+
+    const apply = () => {
+      applyVideoState(video, this.video);
+      this.#refreshVideoControls(video);
+    };
+    if (video.readyState >= 1) apply();
+    else video.addEventListener("loadedmetadata", apply, { once: true });
+
+    if (this.isPresenting) {
+      video.addEventListener("timeupdate", this.#handleVideoTimeUpdate);
+    }
+  }
+
+  receiveVideoState(state) {
+    const video = this.#primaryVideo();
+    const normalized = normalizeVideoState(state, this.video.path);
+    if (!video || normalized.path !== this.video.path) return;
+    this.video = normalized;
+    if (video.readyState >= 1) applyVideoState(video, this.video);
+  }
+
+  next() {
+    this.#advance(1);
+  }
+
+  previous() {
+    this.#advance(-1);
+  }
+
+  goTo(index) {
+    this.#showAt(index);
+  }
+
+  setBackground(background, { broadcast = true } = {}) {
+    this.background = normalizeBackground(background);
+    this.#queueRender();
+    if (broadcast && this.isPresenting) this.constructor.syncWithPlayers();
+  }
+
+  /** Cues for the portrait in focus and the background. The presenter and GMs read them live, others from the last payload. */
+  #syncAudio() {
+    const cueFor = (path) => {
+      if (!path) return null;
+      return game.user?.isGM || this.isPresenting ? resolveCue(getAudioCue(path)) : this.cues[path] ?? null;
+    };
+    this._cuePlayer.sync({
+      portrait: cueFor(this.images[this.index]),
+      background: cueFor(this.background)
+    });
+  }
+
+  /** Audio cues for the images and background on show, as sent to players. */
+  publicCues() {
+    return publicCues([...this.images, this.background].filter(Boolean));
+  }
+
+  refreshCueVolume() {
+    this._cuePlayer.refreshVolume();
+  }
+
+  receiveView(view) {
+    this.view = normalizeViewTransform(view);
+    this.#applyView();
+  }
+
+  #applyView() {
+    const frame = this.element?.querySelector(".viewer__stage-layer:not(.is-leaving) .viewer__frame");
+    if (!frame) return;
+    // The GM frames their own image; a player who wandered off in free navigation sees theirs unframed.
+    const view = this.index === this.gmIndex ? this.view : createViewTransform();
+    const style = viewStyle(view);
+    frame.style.transform = style.transform;
+    frame.style.animationDelay = style.animationDelay;
+    frame.classList.toggle("is-ken-burns", view.kenBurns);
+
+    // Wheel and drag update the framing without a render, so keep the GM controls in step here.
+    if (!this.isPresenting) return;
+    this.element.firstElementChild?.classList.toggle("viewer--framed", !isDefaultView(this.view));
+    const reset = this.element.querySelector('[data-action="view-reset"]');
+    if (reset) reset.disabled = isDefaultView(this.view);
+    this.element.querySelector('[data-action="view-ken-burns"]')?.classList.toggle("is-active", this.view.kenBurns);
+  }
+
+  #setView(view) {
+    this.view = view;
+    this.#applyView();
+    if (!this.isPresenting || this._viewBroadcastTimer) return;
+    // Wheel and drag fire far faster than the socket needs; send the latest framing at most every 50ms.
+    this._viewBroadcastTimer = setTimeout(() => {
+      this._viewBroadcastTimer = null;
+      this.constructor.broadcastView(this.view);
+    }, VIEW_BROADCAST_MS);
+  }
+
+  async applyDisplayMode(mode) {
+    const next = normalizeDisplayMode(mode);
+    if (next === this.displayMode) return;
+    if (this.displayMode === DISPLAY_MODES.WINDOW) await saveWindowGeometry(this.element);
+    if (next !== DISPLAY_MODES.MINIMIZED) this._restoreMode = next;
+    this.displayMode = next;
+    this.#syncDisplayMode({ geometry: true });
+  }
+
+  /**
+   * Reflect the display mode on the element. Geometry is only applied on mode changes so a render
+   * never snaps a window the user has just moved or resized.
+   */
+  #syncDisplayMode({ geometry = false } = {}) {
+    if (!this.element) return;
+    const mode = this.displayMode;
+    const fullscreen = mode === DISPLAY_MODES.FULLSCREEN;
+    this.element.classList.toggle("viewer-fullscreen", fullscreen);
+    this.element.classList.toggle("viewer-window", mode === DISPLAY_MODES.WINDOW);
+    this.element.classList.toggle("viewer-minimized", mode === DISPLAY_MODES.MINIMIZED);
+    this.element.setAttribute("aria-modal", String(fullscreen));
+    document.body.classList.toggle(BODY_VIEWER_CLASS, fullscreen);
+    this.element
+      .querySelectorAll('[data-action="display-mode"]')
+      .forEach((button) => button.classList.toggle("is-active", button.dataset.mode === mode));
+
+    if (!geometry) return;
+    if (mode === DISPLAY_MODES.WINDOW) applyWindowGeometry(this.element);
+    else for (const property of ["left", "top", "width", "height"]) this.element.style.removeProperty(property);
+  }
+
+  receivePing(userId, ping) {
+    const user = game.users?.get(userId);
+    const normalized = normalizePing(ping);
+    if (!normalized || !canPing(user)) return;
+    void this.#showPing(user, normalized);
+  }
+
+  /** The on-screen rectangle the image at `path` is currently drawn in, or null if it is not visible. */
+  async #pingTargetRect(target, path) {
+    if (!this.element) return null;
+    if (target === PING_TARGETS.PORTRAIT) {
+      const media = Array.from(
+        this.element.querySelectorAll(".viewer__stage-layer:not(.is-leaving) [data-path]")
+      ).find((element) => element.dataset.path === path);
+      return media ? mediaRect(media) : null;
+    }
+
+    const layer = Array.from(
+      this.element.querySelectorAll(".viewer__backdrop-layer:not(.is-leaving)")
+    ).find((element) => element.dataset.layerKey === path);
+    const media = layer?.querySelector("video, .viewer__backdrop-image");
+    if (!media) return null;
+    if (media instanceof HTMLVideoElement) return mediaRect(media);
+    const { width, height } = await naturalSize(path, media);
+    return backgroundRect(media, width, height);
+  }
+
+  async #placePing(event) {
+    const media = event.target.closest?.(".viewer__stage-layer:not(.is-leaving) [data-path]");
+    const candidates = media
+      ? [{ target: PING_TARGETS.PORTRAIT, path: media.dataset.path }]
+      : [];
+    if (this.background) candidates.push({ target: PING_TARGETS.BACKGROUND, path: this.background });
+
+    for (const candidate of candidates) {
+      const rect = await this.#pingTargetRect(candidate.target, candidate.path);
+      if (!rect?.width || !rect?.height) continue;
+      const x = (event.clientX - rect.left) / rect.width;
+      const y = (event.clientY - rect.top) / rect.height;
+      // Letterboxing around a portrait belongs to whatever is behind it.
+      if (x < 0 || x > 1 || y < 0 || y > 1) continue;
+      const ping = normalizePing({ ...candidate, x, y });
+      void this.#showPing(game.user, ping);
+      this.constructor.broadcastPing(ping);
+      return;
+    }
+  }
+
+  async #showPing(user, ping) {
+    const rect = await this.#pingTargetRect(ping.target, ping.path);
+    const overlay = this.element?.querySelector(".viewer__pings");
+    if (!rect || !overlay) return;
+    const bounds = overlay.getBoundingClientRect();
+
+    const marker = document.createElement("div");
+    marker.className = "viewer__ping";
+    marker.style.left = `${rect.left + ping.x * rect.width - bounds.left}px`;
+    marker.style.top = `${rect.top + ping.y * rect.height - bounds.top}px`;
+    marker.style.setProperty("--ping-color", userColor(user));
+    marker.style.setProperty("--ping-duration", `${PING_DURATION_MS}ms`);
+    const label = document.createElement("span");
+    label.className = "viewer__ping-label";
+    label.textContent = user?.name ?? "";
+    marker.append(label);
+    overlay.append(marker);
+    setTimeout(() => marker.remove(), PING_DURATION_MS);
+  }
+
+  /** Pointer position relative to the stage centre, as a fraction of the stage size. */
+  #stagePoint(event) {
+    const rect = this.element?.querySelector(".viewer__stage")?.getBoundingClientRect();
+    if (!rect?.width || !rect?.height) return { x: 0, y: 0 };
+    return {
+      x: (event.clientX - (rect.left + rect.width / 2)) / rect.width,
+      y: (event.clientY - (rect.top + rect.height / 2)) / rect.height
+    };
+  }
+
+  /** Update autoplay options; `playing` pauses or resumes without losing the current slide's progress. */
+  setAutoplay({ playing, ...options } = {}, { broadcast = true } = {}) {
+    let next = normalizeAutoplay({ ...this.autoplay, ...options, playing: this.autoplay.playing });
+    if (playing === true && !next.playing) next = resumeAutoplay(next);
+    else if (playing === false && next.playing) next = pauseAutoplay(next);
+    this.autoplay = next;
+    this.#queueRender();
+    if (broadcast && this.isPresenting) this.constructor.syncWithPlayers();
+  }
+
+  #autoplayTemplateData() {
+    const duration = slideDuration(this.autoplay, this.index);
+    const override = this.autoplay.durations[this.index];
+    return {
+      playing: this.autoplay.playing,
+      loop: this.autoplay.loop,
+      interval: this.autoplay.interval,
+      override: override ?? "",
+      showProgress: this.autoplay.playing || this.autoplay.elapsed > 0,
+      duration: Math.round(duration),
+      elapsed: Math.round(Math.min(slideElapsed(this.autoplay), duration))
+    };
+  }
+
+  /**
+   * Only the presenter, GM or not, runs the slide timer; everyone else follows the index it broadcasts
+   * and draws progress from the shared server clock, so nobody drifts.
+   */
+  #scheduleAutoplay() {
+    this.#clearAutoplayTimer();
+    if (!this.element || !this.autoplay.playing || !this.isPresenting) return;
+    const remaining = slideDuration(this.autoplay, this.index) - slideElapsed(this.autoplay);
+    this._autoplayTimer = setTimeout(() => this.#autoplayAdvance(), Math.max(remaining, 0));
+  }
+
+  #clearAutoplayTimer() {
+    if (!this._autoplayTimer) return;
+    clearTimeout(this._autoplayTimer);
+    this._autoplayTimer = null;
+  }
+
+  #autoplayAdvance() {
+    this._autoplayTimer = null;
+    if (!this.autoplay.playing || !this.images.length) return;
+    const isLast = this.index >= this.images.length - 1;
+    if (isLast && !this.autoplay.loop) {
+      this.autoplay = stopAutoplay(this.autoplay);
+      this.#queueRender();
+      this.constructor.syncWithPlayers();
+      return;
+    }
+    if (this.images.length === 1) {
+      this.autoplay = restartSlide(this.autoplay);
+      this.#queueRender();
+      this.constructor.syncWithPlayers();
+      return;
+    }
+    this.#advance(1);
+  }
+
+  currentVideoState() {
+    const video = this.#primaryVideo();
+    if (!video) return null;
+    return captureVideoState(video, this.video);
+  }
+
+  #publishVideoState() {
+    const state = this.currentVideoState();
+    if (!state) return;
+    this.video = state;
+    this.constructor.broadcastVideo(state);
+  }
+
+  #updateVideoHeartbeat() {
+    const shouldRun = Boolean(this.isPresenting && this.element && this.video.path && !this.video.paused);
+    if (!shouldRun) {
+      this.#stopVideoHeartbeat();
+      return;
+    }
+    if (this._videoHeartbeat) return;
+    this._videoHeartbeat = setInterval(() => this.#publishVideoState(), VIDEO_HEARTBEAT_MS);
+  }
+
+  #stopVideoHeartbeat() {
+    if (!this._videoHeartbeat) return;
+    clearInterval(this._videoHeartbeat);
+    this._videoHeartbeat = null;
+  }
+
+  #refreshVideoControls(video) {
+    const controls = this.element?.querySelector(".viewer__video-controls");
+    if (!controls) return;
+
+    const playIcon = controls.querySelector('[data-action="video-toggle-play"] i');
+    playIcon?.classList.toggle("fa-play", this.video.paused);
+    playIcon?.classList.toggle("fa-pause", !this.video.paused);
+
+    controls.querySelector('[data-action="video-toggle-loop"]')?.classList.toggle("is-active", this.video.loop);
+
+    const muteIcon = controls.querySelector('[data-action="video-toggle-mute"] i');
+    muteIcon?.classList.toggle("fa-volume-xmark", this.video.muted);
+    muteIcon?.classList.toggle("fa-volume-high", !this.video.muted);
+
+    this.#refreshVideoSeek(video);
+  }
+
+  #refreshVideoSeek(video) {
+    const seek = this.element?.querySelector('[data-action="video-seek"]');
+    if (!seek || !video || seek.matches(":active")) return;
+    if (Number.isFinite(video.duration)) seek.max = String(video.duration);
+    seek.value = String(video.currentTime);
   }
 
   #ensureActiveThumbVisible() {
@@ -239,14 +1369,32 @@ export class ImageViewer {
   }
 
   #showAt(target) {
-    if (!this.images.length) return;
+    if (!this.images.length || !this.#canNavigate()) return;
     const bounded = clampIndex(target, this.images.length);
     if (bounded === this.index) return;
-    this.index = bounded;
-    this.#queueRender();
-    if (game.user?.isGM) {
+
+    if (this.isPresenting) {
+      this.index = bounded;
+      this.gmIndex = bounded;
+      this.autoplay = restartSlide(this.autoplay);
+      this.view = createViewTransform();
+      // Bringing someone into focus in an ensemble layout also brings them on stage.
+      if (this.stage.layout !== STAGE_LAYOUTS.SINGLE && !this.stage.members.includes(bounded)) {
+        this.stage = { ...this.stage, members: [...this.stage.members, bounded] };
+      }
+      this.#queueRender();
       this.constructor.syncWithPlayers();
+      return;
+    }
+
+    // The delegated presenter's navigation is relayed through the GM, who broadcasts it to everyone.
+    if (this.navigation.mode === NAVIGATION_MODES.PRESENTER) {
+      this.constructor.requestNavigate(bounded);
+      return;
     }
+
+    this.index = bounded;
+    this.#queueRender();
   }
 
   #queueRender() {
@@ -257,6 +1405,7 @@ export class ImageViewer {
 
   #handleThumbClick = (event) => {
     event.preventDefault();
+    if (this._suppressClick) return;
     const button = event.currentTarget;
     const index = Number.parseInt(button?.dataset?.index ?? "", 10);
     if (Number.isNaN(index)) return;
@@ -265,9 +1414,269 @@ export class ImageViewer {
 
   #handleImageClick = (event) => {
     event.preventDefault();
+    if (this._suppressClick) return;
     this.#advance(1);
   };
 
+  #handlePrefetchClick = (event) => {
+    event.preventDefault();
+    this.prefetchAll();
+    ui.notifications?.info(game.i18n.localize("SOCIALENCOUNTERS.Prefetch.Started"));
+  };
+
+  #handleMinimizedClick = (event) => {
+    if (this.displayMode !== DISPLAY_MODES.MINIMIZED) return;
+    if (event.target.closest?.(".viewer__close")) return;
+    event.preventDefault();
+    event.stopPropagation();
+    void setDisplayMode(this._restoreMode);
+  };
+
+  #handleDisplayModeClick = (event) => {
+    event.preventDefault();
+    void setDisplayMode(event.currentTarget.dataset.mode);
+  };
+
+  #handleWindowPointerDown = (event) => {
+    if (this.displayMode !== DISPLAY_MODES.WINDOW || event.button !== 0) return;
+    if (event.target.closest?.("button")) return;
+    this._windowDrag = { x: event.clientX, y: event.clientY };
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  };
+
+  #handleWindowPointerMove = (event) => {
+    if (!this._windowDrag || !this.element) return;
+    positionWindow(this.element, event.clientX - this._windowDrag.x, event.clientY - this._windowDrag.y);
+    this._windowDrag = { x: event.clientX, y: event.clientY };
+  };
+
+  #handleWindowPointerUp = (event) => {
+    if (!this._windowDrag) return;
+    event.currentTarget.releasePointerCapture?.(event.pointerId);
+    this._windowDrag = null;
+    void saveWindowGeometry(this.element);
+  };
+
+  #handlePingClick = (event) => {
+    if (!this._pingMode || !canPing()) return;
+    if (event.target.closest?.(".viewer__controls, .viewer__close")) return;
+    event.preventDefault();
+    event.stopPropagation();
+    void this.#placePing(event);
+  };
+
+  #handlePingToggle = (event) => {
+    event.preventDefault();
+    this._pingMode = !this._pingMode;
+    this.#queueRender();
+  };
+
+  #handleStageWheel = (event) => {
+    if (!this.isPresenting) return;
+    event.preventDefault();
+    const base = this.view.kenBurns ? createViewTransform() : this.view;
+    this.#setView(zoomView(base, event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, this.#stagePoint(event)));
+  };
+
+  #handleStagePointerDown = (event) => {
+    if (!this.isPresenting || this._pingMode || event.button !== 0 || this.view.scale <= 1) return;
+    this._drag = { point: this.#stagePoint(event), clientX: event.clientX, clientY: event.clientY, moved: false };
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  };
+
+  #handleStagePointerMove = (event) => {
+    if (!this._drag) return;
+    if (!this._drag.moved) {
+      const distance = Math.hypot(event.clientX - this._drag.clientX, event.clientY - this._drag.clientY);
+      if (distance < DRAG_THRESHOLD_PX) return;
+      this._drag.moved = true;
+    }
+    const point = this.#stagePoint(event);
+    this.#setView(panView(this.view, point.x - this._drag.point.x, point.y - this._drag.point.y));
+    this._drag.point = point;
+  };
+
+  #handleStagePointerUp = (event) => {
+    if (!this._drag) return;
+    event.currentTarget.releasePointerCapture?.(event.pointerId);
+    if (this._drag.moved) {
+      // The click that ends a drag should not also advance the slide or pick a speaker.
+      this._suppressClick = true;
+      setTimeout(() => {
+        this._suppressClick = false;
+      }, 0);
+    }
+    this._drag = null;
+  };
+
+  #handlePresenterControl = (event) => {
+    event.preventDefault();
+    const control = event.currentTarget;
+    switch (control.dataset.action) {
+      case "presenter-handoff":
+        if (control.value) this.handOff(control.value);
+        break;
+      case "presenter-take-over":
+        this.takeOver();
+        break;
+      case "presenter-request":
+        this.requestPresenter();
+        break;
+      default:
+        break;
+    }
+  };
+
+  #handleViewControl = (event) => {
+    event.preventDefault();
+    if (!this.isPresenting) return;
+    switch (event.currentTarget.dataset.action) {
+      case "view-reset":
+        this.#setView(createViewTransform());
+        break;
+      case "view-ken-burns":
+        this.#setView(this.view.kenBurns ? createViewTransform() : startKenBurns());
+        break;
+      default:
+        break;
+    }
+  };
+
+  #handleVideoControl = (event) => {
+    event.preventDefault();
+    if (!this.isPresenting) return;
+    const video = this.#primaryVideo();
+    if (!video) return;
+
+    const state = captureVideoState(video, this.video);
+    switch (event.currentTarget.dataset.action) {
+      case "video-toggle-play":
+        state.paused = !state.paused;
+        break;
+      case "video-toggle-loop":
+        state.loop = !state.loop;
+        break;
+      case "video-toggle-mute":
+        state.muted = !state.muted;
+        break;
+      case "video-seek": {
+        const target = Number.parseFloat(event.currentTarget.value);
+        if (Number.isFinite(target)) state.currentTime = target;
+        break;
+      }
+      default:
+        return;
+    }
+
+    this.video = state;
+    applyVideoState(video, this.video);
+    this.#refreshVideoControls(video);
+    this.#updateVideoHeartbeat();
+    this.constructor.broadcastVideo(this.video);
+  };
+
+  #handleNameplateAction = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (!game.user?.isGM) return;
+    const { action, path, uuid } = event.currentTarget.dataset;
+    let run;
+    switch (action) {
+      case "nameplate-reveal":
+        run = this.#toggleNameplateReveal(path);
+        break;
+      case "nameplate-actor":
+        run = this.#openLinkedActor(uuid);
+        break;
+      default:
+        run = this.#editNameplate(path);
+    }
+    run.catch((error) => console.error(`${MODULE_ID} | Failed to update nameplate`, error));
+  };
+
+  #handleStageToggle = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (!this.isPresenting) return;
+    const index = Number.parseInt(event.currentTarget.dataset.index ?? "", 10);
+    if (Number.isNaN(index)) return;
+    const members = this.stage.members.includes(index)
+      ? this.stage.members.filter((idx) => idx !== index)
+      : [...this.stage.members, index];
+    this.setStage({ ...this.stage, members });
+  };
+
+  #handleLayoutChange = (event) => {
+    if (!this.isPresenting) return;
+    this.setStage({ ...this.stage, layout: event.currentTarget.value });
+  };
+
+  #handleNavigationChange = () => {
+    if (!this.isPresenting) return;
+    const mode = this.element?.querySelector('[data-action="navigation-mode"]')?.value;
+    let delegateId = this.element?.querySelector('[data-action="navigation-delegate"]')?.value || null;
+    if (mode === NAVIGATION_MODES.PRESENTER && !delegateId) {
+      delegateId = getRecipientOptions(this.recipients).find((option) => option.selected)?.id ?? null;
+      if (!delegateId) {
+        ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.Navigation.NoDelegate"));
+        this.#queueRender();
+        return;
+      }
+    }
+    this.setNavigation({ mode, delegateId });
+  };
+
+  #handleFollowClick = (event) => {
+    event.preventDefault();
+    if (this.index === this.gmIndex) return;
+    this.index = this.gmIndex;
+    this.#queueRender();
+  };
+
+  #handleAutoplayControl = (event) => {
+    event.preventDefault();
+    if (!this.isPresenting) return;
+    const control = event.currentTarget;
+    switch (control.dataset.action) {
+      case "autoplay-toggle":
+        this.setAutoplay({ playing: !this.autoplay.playing });
+        break;
+      case "autoplay-loop":
+        this.setAutoplay({ loop: !this.autoplay.loop });
+        break;
+      case "autoplay-interval":
+        this.setAutoplay({ interval: control.value });
+        break;
+      case "autoplay-slide": {
+        const durations = { ...this.autoplay.durations };
+        if (control.value === "") delete durations[this.index];
+        else durations[this.index] = control.value;
+        this.setAutoplay({ durations });
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  #handleVideoTimeUpdate = (event) => {
+    this.#refreshVideoSeek(event.currentTarget);
+  };
+
+  #handleRecipientPanelToggle = (event) => {
+    this._recipientsOpen = event.currentTarget.open;
+  };
+
+  #handleRecipientChange = (event) => {
+    if (!this.isPresenting) return;
+    const input = event.currentTarget;
+    if (input.dataset.action === "recipients-everyone") {
+      this.setRecipients(input.checked ? null : []);
+      return;
+    }
+    this.setRecipients(updateRecipients(this.recipients, input.value, input.checked));
+  };
+
   #handleCloseClick = (event) => {
     event.preventDefault();
     void this.close();
@@ -275,6 +1684,9 @@ export class ImageViewer {
 
   #handleKeyDown = (event) => {
     if (this.constructor.active !== this) return;
+    // Outside fullscreen the rest of the UI is usable, so only take keys aimed at the viewer.
+    if (this.displayMode !== DISPLAY_MODES.FULLSCREEN && !this.element?.contains(document.activeElement)) return;
+    if (this.displayMode === DISPLAY_MODES.MINIMIZED) return;
 
     switch (event.key) {
       case "ArrowRight":
@@ -302,36 +1714,203 @@ export class ImageViewer {
     return this._instance.close({ broadcast });
   }
 
-  static broadcastShow({ images, background, index = 0 } = {}) {
-    if (!game?.socket || !game.user?.isGM) return;
+  static broadcastShow({
+    images,
+    background,
+    index = 0,
+    recipients = null,
+    navigation = null,
+    stage = null,
+    nameplates = null,
+    autoplay = null,
+    cues = null
+  } = {}) {
+    if (!game?.socket || !this.active?.isPresenting) return;
     if (!Array.isArray(images) || !images.length) return;
-    game.socket.emit(SOCKET_CHANNEL, {
-      type: SOCKET_EVENTS.SHOW,
-      userId: game.user.id,
+    emitMessage(SOCKET_EVENTS.SHOW, {
       images,
       background,
-      index
-    });
+      index,
+      recipients: normalizeRecipients(recipients),
+      navigation,
+      stage,
+      nameplates: nameplates ?? publicNameplates(images),
+      transition: getTransitionSettings(),
+      autoplay,
+      cues: cues ?? publicCues([...images, background].filter(Boolean)),
+      startedAt: this._presentation?.startedAt ?? null
+    }, { session: this.active?.session ?? null });
   }
 
-  static broadcastUpdate({ index, background, images } = {}) {
-    if (!game?.socket || !game.user?.isGM) return;
-    const payload = {
-      type: SOCKET_EVENTS.UPDATE,
-      userId: game.user.id
-    };
+  static broadcastUpdate({
+    index,
+    background,
+    images,
+    recipients,
+    navigation,
+    stage,
+    nameplates,
+    autoplay,
+    cues,
+    view
+  } = {}) {
+    if (!game?.socket || !this.active?.isPresenting) return;
+    const payload = {};
     if (isFiniteNumber(index)) payload.index = index;
     if (typeof background !== "undefined") payload.background = background;
     if (Array.isArray(images) && images.length) payload.images = images;
-    game.socket.emit(SOCKET_CHANNEL, payload);
+    if (typeof recipients !== "undefined") payload.recipients = normalizeRecipients(recipients);
+    if (navigation) payload.navigation = navigation;
+    if (stage) payload.stage = stage;
+    if (nameplates) payload.nameplates = nameplates;
+    if (autoplay) payload.autoplay = autoplay;
+    if (cues) payload.cues = cues;
+    if (view) payload.view = view;
+    payload.transition = getTransitionSettings();
+    emitMessage(SOCKET_EVENTS.UPDATE, payload, { session: this.active?.session ?? null });
   }
 
-  static broadcastClose() {
-    if (!game?.socket || !game.user?.isGM) return;
-    game.socket.emit(SOCKET_CHANNEL, {
-      type: SOCKET_EVENTS.CLOSE,
-      userId: game.user.id
-    });
+  static requestNavigate(index) {
+    if (!game?.socket || !isFiniteNumber(index)) return;
+    emitMessage(SOCKET_EVENTS.NAVIGATE, { index }, { session: this.active?.session ?? null });
+  }
+
+  static broadcastVideo(state) {
+    if (!game?.socket || !this.active?.isPresenting || !state) return;
+    emitMessage(SOCKET_EVENTS.VIDEO, {
+      video: state,
+      recipients: this.active?.recipients ?? null
+    }, { session: this.active?.session ?? null });
+  }
+
+  static broadcastView(view) {
+    if (!game?.socket || !this.active?.isPresenting || !view) return;
+    emitMessage(SOCKET_EVENTS.VIEW, {
+      view,
+      recipients: this.active?.recipients ?? null
+    }, { session: this.active?.session ?? null });
+  }
+
+  static broadcastPrefetch(paths) {
+    if (!game?.socket || !this.active?.isPresenting || !paths?.length) return;
+    emitMessage(SOCKET_EVENTS.PREFETCH, {
+      paths,
+      recipients: this.active?.recipients ?? null
+    }, { session: this.active?.session ?? null });
+  }
+
+  static broadcastPing(ping) {
+    if (!game?.socket || !ping || !canPing()) return;
+    emitMessage(SOCKET_EVENTS.PING, { ping }, { session: this.active?.session ?? null });
+  }
+
+  static broadcastClose(session = this.active?.session ?? null) {
+    if (!game?.socket || !this.active?.isPresenting) return;
+    emitMessage(SOCKET_EVENTS.CLOSE, {}, { session });
+  }
+
+  static broadcastHandoff(action, { presenterId = null, targetUserId = null } = {}) {
+    if (!game?.socket || !this.active) return;
+    emitMessage(SOCKET_EVENTS.HANDOFF, { action, presenterId, targetUserId }, { session: this.active.session });
+  }
+
+  static requestState({ force = false } = {}) {
+    if (!game?.socket || this.active?.isPresenting) return;
+    const now = Date.now();
+    if (!force && now - this._lastStateRequest < STATE_REQUEST_COOLDOWN_MS) return;
+    this._lastStateRequest = now;
+    emitMessage(SOCKET_EVENTS.REQUEST_STATE);
+  }
+
+  static broadcastState(targetUserId) {
+    const instance = this.active;
+    // The presenter answers; with nobody presenting, the active GM confirms there is nothing to show.
+    const answers = instance?.isPresenting || (!this._presentation && isActiveGM());
+    if (!game?.socket || !answers) return;
+    emitMessage(SOCKET_EVENTS.STATE, {
+      targetUserId: targetUserId ?? null,
+      images: instance ? Array.from(instance.images) : [],
+      background: instance?.background ?? null,
+      index: instance?.index ?? 0,
+      recipients: instance?.recipients ?? null,
+      navigation: instance?.navigation ?? null,
+      stage: instance?.stage ?? null,
+      nameplates: instance?.publicNameplates() ?? null,
+      transition: getTransitionSettings(),
+      autoplay: instance?.autoplay ?? null,
+      cues: instance?.publicCues() ?? null,
+      view: instance?.view ?? null,
+      video: instance?.currentVideoState() ?? null,
+      startedAt: this._presentation?.startedAt ?? null
+    }, { session: instance?.session ?? null });
+  }
+
+  static async applyState(payload = {}) {
+    const { images, background, index = 0, recipients = null, navigation = null, stage = null, video = null } = payload;
+    const prepared = normalizePaths(images);
+    if (!prepared.length) {
+      await this.closeActive({ broadcast: false });
+      return;
+    }
+
+    const instance = this.active;
+    if (instance && samePaths(instance.images, prepared)) {
+      // The GM's snapshot is authoritative, so a viewer showing the same images joins its session.
+      if (payload.session) instance.session = payload.session;
+      instance.background = normalizeBackground(background);
+      instance.receiveIndex(index, navigation);
+      instance.recipients = normalizeRecipients(recipients);
+      instance.stage = normalizeStage(stage, instance.images.length);
+      instance.nameplates = normalizePublicNameplates(payload.nameplates);
+      instance.transition = normalizeTransition(payload.transition);
+      instance.autoplay = normalizeAutoplay(payload.autoplay);
+      instance.cues = normalizePublicCues(payload.cues);
+      instance.view = normalizeViewTransform(payload.view);
+      await instance.render();
+      if (video) instance.receiveVideoState(video);
+      return;
+    }
+
+    const shown = await this.show({ ...optionsFromPayload(payload), images: prepared, broadcast: false });
+    if (shown && video) shown.receiveVideoState(video);
+  }
+
+  static async preloadTemplates() {
+    const loadTemplates = foundry?.applications?.handlebars?.loadTemplates ?? globalThis.loadTemplates;
+    await loadTemplates(PARTIAL_PATHS);
+  }
+
+  static handleAudioCuesChange() {
+    const instance = this.active;
+    if (!instance) return;
+    instance.#queueRender();
+    this.syncWithPlayers();
+  }
+
+  static handleCueVolumeChange() {
+    this.active?.refreshCueVolume();
+  }
+
+  static handleDisplayModeChange() {
+    void this.active?.applyDisplayMode(getDisplayMode());
+  }
+
+  static handlePingSettingChange() {
+    const instance = this.active;
+    if (!instance) return;
+    if (!canPing()) instance._pingMode = false;
+    instance.#queueRender();
+  }
+
+  static handleUserConnected() {
+    // Take-over depends on whether the presenter is still connected.
+    this.active?.#queueRender();
+  }
+
+  static handleNameplatesChange() {
+    const instance = this.active;
+    if (!instance) return;
+    instance.#queueRender();
   }
 
   static get active() {
@@ -339,13 +1918,19 @@ export class ImageViewer {
   }
 
   static syncWithPlayers({ includeImages = false } = {}) {
-    if (!game.user?.isGM) return;
     const instance = this.active;
-    if (!instance) return;
+    if (!instance?.isPresenting) return;
 
     const payload = {
       index: instance.index,
-      background: instance.background
+      background: instance.background,
+      recipients: instance.recipients,
+      navigation: instance.navigation,
+      stage: instance.stage,
+      nameplates: instance.publicNameplates(),
+      autoplay: instance.autoplay,
+      cues: instance.publicCues(),
+      view: instance.view
     };
 
     if (includeImages) {
@@ -355,35 +1940,155 @@ export class ImageViewer {
     this.broadcastUpdate(payload);
   }
 
+  static #acceptsPresenter(payload) {
+    const sender = game.users?.get(payload.userId);
+    if (!canPresent(sender)) return false;
+    const current = this._presentation;
+    if (!current || current.presenterId === sender.id) return true;
+    // Anyone else may only start a new showing, and only if they could take over anyway.
+    if (payload.type !== SOCKET_EVENTS.SHOW) return false;
+    return canTakeOver(sender, current.presenterId) || startedFirst(payload, current);
+  }
+
+  /** Keep track of who presents which showing, whether or not this client is in its audience. */
+  static #trackPresentation(payload) {
+    const { type, userId, session } = payload;
+    if (type === SOCKET_EVENTS.CLOSE) {
+      this._presentation = null;
+    } else if (type === SOCKET_EVENTS.SHOW || type === SOCKET_EVENTS.STATE) {
+      const startedAt = isFiniteNumber(payload.startedAt) ? payload.startedAt : now();
+      this._presentation = payload.images.length ? { session, presenterId: userId, startedAt } : null;
+    }
+  }
+
+  static #applyPresenter(presenterId) {
+    const current = this._presentation;
+    if (!current) return;
+    const previousId = current.presenterId;
+    this._presentation = { ...current, presenterId };
+    const instance = this.active;
+    if (instance) {
+      instance._handoffRequested = false;
+      // The new presenter picks up the shared slide, even if they had wandered off in free mode.
+      if (instance.isPresenting) instance.index = instance.gmIndex;
+      instance.#queueRender();
+    }
+    if (presenterId === game.user?.id) {
+      ui.notifications?.info(game.i18n.localize("SOCIALENCOUNTERS.Presenter.NowYou"));
+    } else if (previousId === game.user?.id) {
+      ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.Presenter.Now", { name: presenterName(presenterId) }));
+    }
+  }
+
+  static async #receiveHandoff(payload) {
+    const { action, userId, presenterId, targetUserId, session } = payload;
+    const sender = game.users?.get(userId);
+    if (action === HANDOFF_ACTIONS.ASSIGN) {
+      const current = this._presentation;
+      if (!current || current.session !== session || !presenterId) return;
+      const handedOver = userId === current.presenterId;
+      const tookOver = presenterId === userId && canTakeOver(sender, current.presenterId);
+      if ((handedOver || tookOver) && canPresent(game.users?.get(presenterId))) this.#applyPresenter(presenterId);
+      return;
+    }
+
+    const instance = this.active;
+    if (!instance || targetUserId !== game.user?.id) return;
+    if (action === HANDOFF_ACTIONS.REQUEST) {
+      await instance.#confirmHandoff(sender);
+    } else if (action === HANDOFF_ACTIONS.DECLINE) {
+      instance._handoffRequested = false;
+      ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.Presenter.Declined", { name: sender?.name ?? "" }));
+      instance.#queueRender();
+    }
+  }
+
   static registerSocket() {
     if (this._socketRegistered || !game?.socket) return;
 
     const handlePayload = async (payload = {}) => {
+      if (checkMessage(payload)) return;
       const { type, userId } = payload;
-      if (!type) return;
       if (userId === game.user?.id) return;
 
+      const current = this.active;
+      if (SESSION_EVENTS.has(type) && current && payload.session !== current.session) {
+        // Only the presenter we follow can have moved on to a showing we missed; anyone else's
+        // late packets belong to a showing that has already ended and must not trigger a resync.
+        if (STATEFUL_EVENTS.has(type) && this._presentation?.presenterId === userId) this.requestState();
+        return;
+      }
+
+      const wasPresenting = Boolean(current?.isPresenting);
+      if (PRESENTER_EVENTS.has(type)) {
+        if (!this.#acceptsPresenter(payload)) return;
+        this.#trackPresentation(payload);
+      }
+
+      if (RECIPIENT_FILTERED_EVENTS.has(type) && !isRecipient(payload.recipients)) {
+        // Not (or no longer) an audience member: make sure nothing stays on screen.
+        await this.closeActive({ broadcast: false });
+        return;
+      }
+
       try {
         switch (type) {
           case SOCKET_EVENTS.SHOW: {
-            const { images, background, index = 0 } = payload;
-            if (!Array.isArray(images) || !images.length) return;
-            await this.show({ images, background, startIndex: index ?? 0, broadcast: false });
+            if (!Array.isArray(payload.images) || !payload.images.length) return;
+            if (wasPresenting) {
+              ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.Presenter.Superseded", { name: presenterName(userId) }));
+            }
+            await this.show({ ...optionsFromPayload(payload), broadcast: false });
             break;
           }
           case SOCKET_EVENTS.UPDATE: {
-            const { images, background, index } = payload;
+            const {
+              images,
+              background,
+              index,
+              recipients,
+              navigation,
+              stage,
+              nameplates,
+              transition,
+              autoplay,
+              cues,
+              view
+            } = payload;
             if (Array.isArray(images) && images.length) {
-              await this.show({ images, background, startIndex: index ?? 0, broadcast: false });
+              await this.applyState(payload);
               break;
             }
             const instance = this.active;
-            if (!instance) return;
+            if (!instance) {
+              // We missed the show; ask the GM for the full state instead.
+              this.requestState();
+              return;
+            }
             if (typeof background !== "undefined") {
               instance.background = normalizeBackground(background);
             }
-            if (isFiniteNumber(index)) {
-              instance.index = clampIndex(index, instance.images.length);
+            instance.receiveIndex(index, navigation);
+            if (typeof recipients !== "undefined") {
+              instance.recipients = normalizeRecipients(recipients);
+            }
+            if (stage) {
+              instance.stage = normalizeStage(stage, instance.images.length);
+            }
+            if (nameplates) {
+              instance.nameplates = normalizePublicNameplates(nameplates);
+            }
+            if (transition) {
+              instance.transition = normalizeTransition(transition);
+            }
+            if (autoplay) {
+              instance.autoplay = normalizeAutoplay(autoplay);
+            }
+            if (cues) {
+              instance.cues = normalizePublicCues(cues);
+            }
+            if (view) {
+              instance.view = normalizeViewTransform(view);
             }
             await instance.render();
             break;
@@ -391,6 +2096,46 @@ export class ImageViewer {
           case SOCKET_EVENTS.CLOSE:
             await this.closeActive({ broadcast: false });
             break;
+          case SOCKET_EVENTS.VIDEO:
+            this.active?.receiveVideoState(payload.video);
+            break;
+          case SOCKET_EVENTS.VIEW:
+            this.active?.receiveView(payload.view);
+            break;
+          case SOCKET_EVENTS.PING:
+            this.active?.receivePing(userId, payload.ping);
+            break;
+          case SOCKET_EVENTS.HANDOFF:
+            await this.#receiveHandoff(payload);
+            break;
+          case SOCKET_EVENTS.PREFETCH:
+            // Not in RECIPIENT_FILTERED_EVENTS: a warm cache is no reason to close anyone's viewer.
+            if (!isRecipient(payload.recipients) || !Array.isArray(payload.paths)) return;
+            void preloadMedia(payload.paths.filter((path) => typeof path === "string"));
+            break;
+          case SOCKET_EVENTS.NAVIGATE: {
+            const instance = this.active;
+            if (!instance?.isPresenting) return;
+            const { mode, delegateId } = instance.navigation;
+            if (mode !== NAVIGATION_MODES.PRESENTER || delegateId !== userId) return;
+            if (!isFiniteNumber(payload.index)) return;
+            instance.#showAt(payload.index);
+            break;
+          }
+          case SOCKET_EVENTS.REQUEST_STATE:
+            this.broadcastState(userId);
+            break;
+          case SOCKET_EVENTS.STATE: {
+            const { targetUserId } = payload;
+            if (this.active?.isPresenting) return;
+            if (targetUserId && targetUserId !== game.user?.id) return;
+            if (!isRecipient(payload.recipients)) {
+              await this.closeActive({ broadcast: false });
+              return;
+            }
+            await this.applyState(payload);
+            break;
+          }
           default:
             break;
         }
@@ -399,8 +2144,12 @@ export class ImageViewer {
       }
     };
 
+    // Handle one message at a time so an update can never overtake the show it belongs to.
+    let queue = Promise.resolve();
     game.socket.on(SOCKET_CHANNEL, (payload) => {
-      void handlePayload(payload);
+      queue = queue
+        .then(() => handlePayload(payload))
+        .catch((error) => console.error(`${MODULE_ID} | Socket handling failed`, error));
     });
 
     this._socketRegistered = true;
@@ -408,4 +2157,7 @@ export class ImageViewer {
 }
 
 ImageViewer._instance = null;
+// The shared showing this client knows of: { session, presenterId, startedAt }, or null.
+ImageViewer._presentation = null;
 ImageViewer._socketRegistered = false;
+ImageViewer._lastStateRequest = 0;
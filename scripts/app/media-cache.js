@@ -0,0 +1,208 @@
+import { MODULE_ID } from "./constants.js";
+import { isVideoFile } from "./utils.js";
+
+const THUMBNAIL_SIZE = 200;
+const THUMBNAIL_QUALITY = 0.8;
+const MAX_THUMBNAILS = 400;
+const MAX_PRELOADED = 40;
+const CONCURRENCY = 2;
+// Longest a video preload may hold a queue slot before giving it up.
+const VIDEO_PRELOAD_TIMEOUT_MS = 15000;
+
+// Insertion order doubles as recency: entries are re-inserted on use and evicted from the front.
+const thumbnails = new Map();
+const pendingThumbnails = new Map();
+// Files that could not be thumbnailed (videos, missing helper, load errors) are shown as-is.
+const unthumbnailable = new Set();
+const preloaded = new Map();
+
+/**
+ * A small job queue so a "prefetch everything" burst never starves the slide the table is
+ * waiting on: urgent jobs jump the line, and only a couple of downloads run at once.
+ */
+function createQueue(concurrency) {
+  const jobs = [];
+  let running = 0;
+
+  const pump = () => {
+    while (running < concurrency && jobs.length) {
+      const { task, resolve } = jobs.shift();
+      running += 1;
+      task()
+        .catch(() => null)
+        .then((result) => {
+          running -= 1;
+          resolve(result);
+          pump();
+        });
+    }
+  };
+
+  return (task, { urgent = false } = {}) => new Promise((resolve) => {
+    if (urgent) jobs.unshift({ task, resolve });
+    else jobs.push({ task, resolve });
+    pump();
+  });
+}
+
+const enqueue = createQueue(CONCURRENCY);
+
+function touch(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+}
+
+function evict(map, limit, dispose = () => {}) {
+  while (map.size > limit) {
+    const [key, value] = map.entries().next().value;
+    map.delete(key);
+    dispose(value);
+  }
+}
+
+function imageHelper() {
+  return foundry?.helpers?.media?.ImageHelper ?? globalThis.ImageHelper;
+}
+
+function getCachedThumbnail(path) {
+  const url = thumbnails.get(path);
+  if (url) touch(thumbnails, path, url);
+  return url ?? null;
+}
+
+/** What an `img[data-thumbnail]` should render right now; null means "not generated yet". */
+export function getThumbnailSource(path) {
+  if (unthumbnailable.has(path)) return path;
+  return getCachedThumbnail(path);
+}
+
+/**
+ * A small object URL for `path`, rendered client-side once and kept for the session. Blob URLs
+ * keep re-rendered templates short where inline data URLs would repeat every thumbnail.
+ */
+export function createThumbnail(path, { urgent = false } = {}) {
+  const cached = getCachedThumbnail(path);
+  if (cached) return Promise.resolve(cached);
+  if (unthumbnailable.has(path)) return Promise.resolve(null);
+  if (pendingThumbnails.has(path)) return pendingThumbnails.get(path);
+
+  const pending = enqueue(async () => {
+    const helper = imageHelper();
+    const result = helper?.createThumbnail && !isVideoFile(path)
+      ? await helper.createThumbnail(path, {
+        width: THUMBNAIL_SIZE,
+        height: THUMBNAIL_SIZE,
+        format: "image/webp",
+        quality: THUMBNAIL_QUALITY
+      }).catch(() => null)
+      : null;
+    if (!result?.thumb) {
+      unthumbnailable.add(path);
+      return null;
+    }
+    const blob = await (await fetch(result.thumb)).blob();
+    const url = URL.createObjectURL(blob);
+    touch(thumbnails, path, url);
+    evict(thumbnails, MAX_THUMBNAILS, (stale) => URL.revokeObjectURL(stale));
+    return url;
+  }, { urgent }).finally(() => pendingThumbnails.delete(path));
+
+  pendingThumbnails.set(path, pending);
+  return pending;
+}
+
+const observed = new Set();
+const observer = typeof IntersectionObserver === "function"
+  ? new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      observer.unobserve(entry.target);
+      observed.delete(entry.target);
+      void fillThumbnail(entry.target);
+    }
+  }, { rootMargin: "200px" })
+  : null;
+
+async function fillThumbnail(img) {
+  const path = img.dataset.thumbnail;
+  let url = null;
+  try {
+    url = await createThumbnail(path);
+  } catch (error) {
+    console.warn(`${MODULE_ID} | Could not create a thumbnail for ${path}`, error);
+  }
+  // Fall back to the original file rather than leaving an empty frame.
+  if (img.isConnected && !img.getAttribute("src")) img.src = url ?? path;
+}
+
+/** Give every `img[data-thumbnail]` without a source a generated thumbnail once it scrolls into view. */
+export function hydrateThumbnails(root) {
+  // Re-renders replace whole lists; let go of images that never scrolled into view.
+  for (const img of observed) {
+    if (img.isConnected) continue;
+    observer.unobserve(img);
+    observed.delete(img);
+  }
+  for (const img of root?.querySelectorAll?.("img[data-thumbnail]:not([src])") ?? []) {
+    if (!observer) {
+      void fillThumbnail(img);
+      continue;
+    }
+    observer.observe(img);
+    observed.add(img);
+  }
+}
+
+function loadMedia(path) {
+  if (isVideoFile(path)) {
+    return new Promise((resolve) => {
+      const video = document.createElement("video");
+      video.muted = true;
+      video.preload = "auto";
+      // Browsers may suspend muted off-screen videos before `canplaythrough`, so the first frame
+      // (or a suspend, stall or timeout) is enough to free the queue slot; buffering carries on.
+      const events = ["canplaythrough", "loadeddata", "suspend", "stalled", "error"];
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        for (const type of events) video.removeEventListener(type, done);
+        resolve(video);
+      };
+      for (const type of events) video.addEventListener(type, done);
+      timer = setTimeout(done, VIDEO_PRELOAD_TIMEOUT_MS);
+      video.src = path;
+      video.load();
+    });
+  }
+  const image = new Image();
+  image.decoding = "async";
+  image.src = path;
+  return image.decode().then(() => image, () => image);
+}
+
+function releaseMedia(pending) {
+  void pending.then((element) => {
+    // An off-screen video keeps buffering until its source is dropped.
+    if (!(element instanceof HTMLVideoElement)) return;
+    element.removeAttribute("src");
+    element.load();
+  });
+}
+
+/**
+ * Warm the browser cache for `paths`. Loaded elements are held on to (up to a limit) so decoded
+ * images are not dropped before the slide is shown.
+ */
+export function preloadMedia(paths, { urgent = false } = {}) {
+  const unique = Array.from(new Set((paths ?? []).filter((path) => typeof path === "string" && path)));
+  return Promise.all(unique.map((path) => {
+    if (preloaded.has(path)) {
+      touch(preloaded, path, preloaded.get(path));
+      return preloaded.get(path);
+    }
+    const pending = enqueue(() => loadMedia(path), { urgent });
+    touch(preloaded, path, pending);
+    evict(preloaded, MAX_PRELOADED, releaseMedia);
+    return pending;
+  }));
+}
@@ -0,0 +1,134 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+// Nameplates live on a journal entry only GMs can see; world settings reach every client.
+const STORE_FLAG = "nameplateStore";
+const ENTRIES_FLAG = "nameplates";
+
+function cleanText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function normalizeNameplate(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = cleanText(raw.name);
+  const title = cleanText(raw.title);
+  const faction = cleanText(raw.faction);
+  if (!name && !title && !faction) return null;
+  return { name, title, faction, revealed: Boolean(raw.revealed) };
+}
+
+/** What players may know about a nameplate: everything once revealed, otherwise only that it is hidden. */
+function publicNameplate(nameplate) {
+  return nameplate.revealed
+    ? { ...nameplate }
+    : { name: "", title: "", faction: "", revealed: false };
+}
+
+function getStore() {
+  return game.journal?.find((entry) => entry.getFlag(MODULE_ID, STORE_FLAG)) ?? null;
+}
+
+export function isNameplateStore(entry) {
+  return Boolean(entry?.getFlag?.(MODULE_ID, STORE_FLAG));
+}
+
+async function ensureStore() {
+  const existing = getStore();
+  if (existing) return existing;
+  return JournalEntry.create({
+    name: game.i18n.localize("SOCIALENCOUNTERS.Nameplate.StoreName"),
+    ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+    flags: { [MODULE_ID]: { [STORE_FLAG]: true, [ENTRIES_FLAG]: [] } }
+  });
+}
+
+// Stored as a list rather than keyed by path: dotted file names would be expanded into nested objects.
+function readStore(store) {
+  const stored = store?.getFlag(MODULE_ID, ENTRIES_FLAG);
+  const nameplates = {};
+  for (const raw of Array.isArray(stored) ? stored : []) {
+    const nameplate = typeof raw?.path === "string" && raw.path ? normalizeNameplate(raw) : null;
+    if (nameplate) nameplates[raw.path] = nameplate;
+  }
+  return nameplates;
+}
+
+function readPublic() {
+  const nameplates = normalizePublicNameplates(game.settings.get(MODULE_ID, SETTING_KEYS.NAMEPLATES));
+  for (const [path, nameplate] of Object.entries(nameplates)) nameplates[path] = publicNameplate(nameplate);
+  return nameplates;
+}
+
+/** GMs get the full nameplates; everyone else only the public copy. */
+export function getNameplates() {
+  return game.user?.isGM ? readStore(getStore()) : readPublic();
+}
+
+export function getNameplate(path) {
+  return getNameplates()[path] ?? null;
+}
+
+async function writeNameplates(nameplates) {
+  const store = await ensureStore();
+  const entries = Object.entries(nameplates).map(([path, nameplate]) => ({ path, ...nameplate }));
+  await store.setFlag(MODULE_ID, ENTRIES_FLAG, entries);
+  const visible = {};
+  for (const [path, nameplate] of Object.entries(nameplates)) visible[path] = publicNameplate(nameplate);
+  await game.settings.set(MODULE_ID, SETTING_KEYS.NAMEPLATES, visible);
+}
+
+export async function updateNameplate(path, changes) {
+  if (!game.user?.isGM || typeof path !== "string" || !path) return null;
+  const nameplates = getNameplates();
+  const next = normalizeNameplate({ ...(nameplates[path] ?? {}), ...changes });
+  if (next) nameplates[path] = next;
+  else delete nameplates[path];
+  await writeNameplates(nameplates);
+  return next;
+}
+
+/**
+ * Older versions kept every nameplate, hidden names included, in the world setting. Move them
+ * into the GM-only store and leave only the public copy behind.
+ */
+export async function migrateNameplates() {
+  if (!game.user?.isGM || game.users?.activeGM?.id !== game.user.id || getStore()) return;
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.NAMEPLATES);
+  const nameplates = {};
+  for (const [path, raw] of Object.entries(stored && typeof stored === "object" ? stored : {})) {
+    const nameplate = normalizeNameplate(raw);
+    if (nameplate) nameplates[path] = nameplate;
+  }
+  if (!Object.keys(nameplates).length) return;
+  await writeNameplates(nameplates);
+}
+
+/**
+ * The nameplates players are allowed to see for a set of images. Hidden entries are
+ * stripped down to their reveal flag so the real name never leaves the GM's client.
+ */
+export function publicNameplates(paths) {
+  const nameplates = getNameplates();
+  const visible = {};
+  for (const path of new Set(paths ?? [])) {
+    const nameplate = nameplates[path];
+    if (!nameplate) continue;
+    visible[path] = publicNameplate(nameplate);
+  }
+  return visible;
+}
+
+export function normalizePublicNameplates(value) {
+  if (!value || typeof value !== "object") return {};
+  const nameplates = {};
+  for (const [path, raw] of Object.entries(value)) {
+    if (!raw || typeof raw !== "object") continue;
+    nameplates[path] = {
+      name: cleanText(raw.name),
+      title: cleanText(raw.title),
+      faction: cleanText(raw.faction),
+      revealed: Boolean(raw.revealed)
+    };
+  }
+  return nameplates;
+}
@@ -0,0 +1,121 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+export const PING_TARGETS = {
+  PORTRAIT: "portrait",
+  BACKGROUND: "background"
+};
+
+export const PING_DURATION_MS = 2400;
+
+const naturalSizes = new Map();
+
+function clampUnit(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+export function canPing(user = game.user) {
+  if (!user) return false;
+  return user.isGM || Boolean(game.settings.get(MODULE_ID, SETTING_KEYS.PLAYER_PINGS));
+}
+
+export function userColor(user) {
+  return user?.color?.css ?? user?.color ?? "#888";
+}
+
+/**
+ * A ping names the image it was placed on and where, as fractions of that image's width and
+ * height. Each client maps it back onto its own layout of the same image.
+ */
+export function normalizePing(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (!Object.values(PING_TARGETS).includes(raw.target)) return null;
+  if (typeof raw.path !== "string" || !raw.path) return null;
+  if (!Number.isFinite(raw.x) || !Number.isFinite(raw.y)) return null;
+  return { target: raw.target, path: raw.path, x: clampUnit(raw.x), y: clampUnit(raw.y) };
+}
+
+function resolveLength(value, reference) {
+  const number = Number.parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+  return value.endsWith("%") ? (reference * number) / 100 : number;
+}
+
+/**
+ * Where a CSS background image is drawn inside `element`, read from the computed style so the
+ * backdrop's slow pan is taken into account at the moment of the ping.
+ */
+export function backgroundRect(element, width, height) {
+  const rect = element.getBoundingClientRect();
+  if (!width || !height) return rect;
+  const style = getComputedStyle(element);
+  const [sizeX = "auto", sizeY = "auto"] = style.backgroundSize.split(/\s+/);
+  if (sizeX === "cover") return coverRect(rect, width, height);
+
+  let drawnWidth = resolveLength(sizeX, rect.width);
+  let drawnHeight = resolveLength(sizeY, rect.height);
+  if (drawnWidth === null && drawnHeight === null) [drawnWidth, drawnHeight] = [width, height];
+  else if (drawnWidth === null) drawnWidth = (drawnHeight * width) / height;
+  else if (drawnHeight === null) drawnHeight = (drawnWidth * height) / width;
+
+  // Percentage positions align that fraction of the image with the same fraction of the box.
+  const [positionX = "50%", positionY = "50%"] = style.backgroundPosition.split(/\s+/);
+  const offsetX = positionX.endsWith("%")
+    ? ((rect.width - drawnWidth) * Number.parseFloat(positionX)) / 100
+    : Number.parseFloat(positionX) || 0;
+  const offsetY = positionY.endsWith("%")
+    ? ((rect.height - drawnHeight) * Number.parseFloat(positionY)) / 100
+    : Number.parseFloat(positionY) || 0;
+  return { left: rect.left + offsetX, top: rect.top + offsetY, width: drawnWidth, height: drawnHeight };
+}
+
+/** The area a `cover`-fitted image of the given natural size actually occupies inside `rect`. */
+export function coverRect(rect, width, height) {
+  if (!width || !height) return rect;
+  const scale = Math.max(rect.width / width, rect.height / height);
+  const coverWidth = width * scale;
+  const coverHeight = height * scale;
+  return {
+    left: rect.left + (rect.width - coverWidth) / 2,
+    top: rect.top + (rect.height - coverHeight) / 2,
+    width: coverWidth,
+    height: coverHeight
+  };
+}
+
+/** Media elements size their content with `object-fit`, so the drawn image can be letterboxed or cropped. */
+export function mediaRect(element) {
+  const rect = element.getBoundingClientRect();
+  const width = element.naturalWidth ?? element.videoWidth;
+  const height = element.naturalHeight ?? element.videoHeight;
+  if (!width || !height) return rect;
+  const fit = getComputedStyle(element).objectFit;
+  if (fit === "cover") return coverRect(rect, width, height);
+  if (fit !== "contain") return rect;
+  const scale = Math.min(rect.width / width, rect.height / height);
+  const drawnWidth = width * scale;
+  const drawnHeight = height * scale;
+  return {
+    left: rect.left + (rect.width - drawnWidth) / 2,
+    top: rect.top + (rect.height - drawnHeight) / 2,
+    width: drawnWidth,
+    height: drawnHeight
+  };
+}
+
+/** Natural size of a backdrop; CSS backgrounds don't expose it, so images are measured once and cached. */
+export async function naturalSize(path, element) {
+  if (element instanceof HTMLVideoElement) {
+    return { width: element.videoWidth, height: element.videoHeight };
+  }
+  if (naturalSizes.has(path)) return naturalSizes.get(path);
+  const image = new Image();
+  image.src = path;
+  try {
+    await image.decode();
+  } catch {
+    return { width: 0, height: 0 };
+  }
+  const size = { width: image.naturalWidth, height: image.naturalHeight };
+  naturalSizes.set(path, size);
+  return size;
+}
@@ -0,0 +1,59 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+import { isRecipient } from "./recipients.js";
+
+export const HANDOFF_ACTIONS = {
+  REQUEST: "request",
+  DECLINE: "decline",
+  ASSIGN: "assign"
+};
+
+function roles() {
+  return CONST.USER_ROLES;
+}
+
+/** Setting choices for the lowest role allowed to present, highest role last. */
+export function presenterRoleChoices() {
+  const { PLAYER, TRUSTED, ASSISTANT, GAMEMASTER } = roles();
+  return {
+    [PLAYER]: "USER.RolePlayer",
+    [TRUSTED]: "USER.RoleTrusted",
+    [ASSISTANT]: "USER.RoleAssistant",
+    [GAMEMASTER]: "USER.RoleGamemaster"
+  };
+}
+
+export function getPresenterRole() {
+  const { PLAYER, ASSISTANT, GAMEMASTER } = roles();
+  const value = Number(game.settings.get(MODULE_ID, SETTING_KEYS.PRESENTER_ROLE));
+  return Number.isInteger(value) && value >= PLAYER && value <= GAMEMASTER ? value : ASSISTANT;
+}
+
+/** Whether `user` may open the browser and drive the shared viewer. */
+export function canPresent(user = game.user) {
+  if (!user) return false;
+  return (user.role ?? 0) >= getPresenterRole();
+}
+
+/**
+ * Whether `user` may become the presenter without being handed over: nobody is presenting, the
+ * presenter has left or lost the right to present, or `user` holds a strictly higher role.
+ */
+export function canTakeOver(user, presenterId) {
+  if (!canPresent(user)) return false;
+  if (!presenterId || presenterId === user.id) return true;
+  const presenter = game.users?.get(presenterId);
+  if (!presenter?.active || !canPresent(presenter)) return true;
+  return (user.role ?? 0) > (presenter.role ?? 0);
+}
+
+export function presenterName(presenterId) {
+  return game.users?.get(presenterId)?.name ?? game.i18n.localize("SOCIALENCOUNTERS.Presenter.Unknown");
+}
+
+/** Connected users who could be handed the viewer: allowed to present and already watching it. */
+export function getHandoffOptions(presenterId, recipients) {
+  const users = game.users?.contents ?? Array.from(game.users ?? []);
+  return users
+    .filter((user) => user.active && user.id !== presenterId && canPresent(user) && isRecipient(recipients, user))
+    .map((user) => ({ id: user.id, name: user.name }));
+}
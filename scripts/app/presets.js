@@ -0,0 +1,88 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+import { parseLinks, serializeLinks } from "./utils.js";
+
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = typeof raw.id === "string" && raw.id ? raw.id : null;
+  if (!id) return null;
+
+  const images = Array.isArray(raw.images)
+    ? raw.images.filter((path) => typeof path === "string" && path.trim()).map((path) => path.trim())
+    : [];
+  const background = typeof raw.background === "string" && raw.background.trim() ? raw.background.trim() : null;
+  const startIndex = Number.isInteger(raw.startIndex) && raw.startIndex >= 0 ? raw.startIndex : 0;
+  const links = parseLinks(raw.links, images);
+
+  return {
+    id,
+    name: String(raw.name ?? "").trim() || id,
+    images,
+    background,
+    startIndex: images.length ? Math.min(startIndex, images.length - 1) : 0,
+    links
+  };
+}
+
+export function getPresets() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.PRESETS);
+  if (!Array.isArray(stored)) return [];
+  return stored.map(normalizePreset).filter(Boolean);
+}
+
+export function getPreset(id) {
+  return getPresets().find((preset) => preset.id === id) ?? null;
+}
+
+async function writePresets(presets) {
+  await game.settings.set(MODULE_ID, SETTING_KEYS.PRESETS, presets.map((preset) => ({ ...preset, links: serializeLinks(preset.links) })));
+}
+
+export async function savePreset({ name, images, background = null, startIndex = 0, links = {} } = {}) {
+  const preset = normalizePreset({
+    id: foundry.utils.randomID(),
+    name,
+    images,
+    background,
+    startIndex,
+    links
+  });
+  if (!preset || !preset.images.length) return null;
+  await writePresets([...getPresets(), preset]);
+  return preset;
+}
+
+export async function renamePreset(id, name) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return null;
+  const presets = getPresets();
+  const preset = presets.find((entry) => entry.id === id);
+  if (!preset) return null;
+  preset.name = trimmed;
+  await writePresets(presets);
+  return preset;
+}
+
+export async function duplicatePreset(id) {
+  const presets = getPresets();
+  const index = presets.findIndex((entry) => entry.id === id);
+  if (index < 0) return null;
+  const source = presets[index];
+  const copy = {
+    ...source,
+    id: foundry.utils.randomID(),
+    name: game.i18n.format("SOCIALENCOUNTERS.Presets.CopyName", { name: source.name }),
+    images: Array.from(source.images),
+    links: { ...source.links }
+  };
+  presets.splice(index + 1, 0, copy);
+  await writePresets(presets);
+  return copy;
+}
+
+export async function deletePreset(id) {
+  const presets = getPresets();
+  const remaining = presets.filter((entry) => entry.id !== id);
+  if (remaining.length === presets.length) return false;
+  await writePresets(remaining);
+  return true;
+}
@@ -0,0 +1,137 @@
+import { MODULE_ID, SOCKET_CHANNEL, SOCKET_EVENTS } from "./constants.js";
+import { HANDOFF_ACTIONS } from "./presenter.js";
+
+/** Bump whenever a message changes in a way an older client would misread. */
+export const PROTOCOL_VERSION = 2;
+
+const DROP_REASONS = {
+  MALFORMED: "malformed",
+  INCOMPATIBLE: "incompatible",
+  INVALID: "invalid",
+  STALE: "stale"
+};
+
+// Sequence numbers restart on every page load, so they are tracked per sending client, not per user.
+let clientId = null;
+let sequence = 0;
+const lastSequence = new Map();
+const warnedVersions = new Set();
+
+const isId = (value) => typeof value === "string" && value.length > 0;
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+const isPathList = (value) => Array.isArray(value) && value.every((path) => typeof path === "string");
+const isIdList = (value) => Array.isArray(value) && value.every(isId);
+const isTime = (value) => Number.isFinite(value) && value > 0;
+const optional = (check) => (value) => value === undefined || value === null || check(value);
+
+const SHARED_STATE = {
+  background: optional((value) => typeof value === "string"),
+  index: optional(isIndex),
+  recipients: optional(isIdList),
+  navigation: optional(isObject),
+  stage: optional(isObject),
+  nameplates: optional(isObject),
+  transition: optional(isObject),
+  autoplay: optional(isObject),
+  cues: optional(isObject),
+  view: optional(isObject)
+};
+
+// Fields not listed are ignored here; each one is still normalized where it is applied.
+const SCHEMAS = {
+  [SOCKET_EVENTS.SHOW]: {
+    ...SHARED_STATE,
+    images: (value) => isPathList(value) && value.length > 0,
+    startedAt: optional(isTime)
+  },
+  [SOCKET_EVENTS.UPDATE]: { ...SHARED_STATE, images: optional(isPathList) },
+  [SOCKET_EVENTS.CLOSE]: {},
+  [SOCKET_EVENTS.REQUEST_STATE]: {},
+  [SOCKET_EVENTS.STATE]: {
+    ...SHARED_STATE,
+    images: isPathList,
+    targetUserId: optional(isId),
+    video: optional(isObject),
+    startedAt: optional(isTime)
+  },
+  [SOCKET_EVENTS.VIDEO]: { video: isObject, recipients: optional(isIdList) },
+  [SOCKET_EVENTS.NAVIGATE]: { index: isIndex },
+  [SOCKET_EVENTS.VIEW]: { view: isObject, recipients: optional(isIdList) },
+  [SOCKET_EVENTS.PING]: { ping: isObject },
+  [SOCKET_EVENTS.PREFETCH]: { paths: isPathList, recipients: optional(isIdList) },
+  [SOCKET_EVENTS.HANDOFF]: {
+    action: (value) => Object.values(HANDOFF_ACTIONS).includes(value),
+    presenterId: optional(isId),
+    targetUserId: optional(isId)
+  }
+};
+
+export function moduleVersion() {
+  return game.modules?.get(MODULE_ID)?.version ?? null;
+}
+
+/**
+ * Send a message on the module channel. Every message carries the protocol version, the sending
+ * client and a sequence number; `session` names the viewer showing it belongs to, if any.
+ */
+export function emitMessage(type, body = {}, { session = null } = {}) {
+  if (!game?.socket) return;
+  clientId ??= foundry.utils.randomID();
+  sequence += 1;
+  game.socket.emit(SOCKET_CHANNEL, {
+    ...body,
+    type,
+    userId: game.user?.id ?? null,
+    protocol: PROTOCOL_VERSION,
+    version: moduleVersion(),
+    client: clientId,
+    seq: sequence,
+    session
+  });
+}
+
+/** Tell the GM (or a player, about the GM) once per sender and version that the module versions differ. */
+function warnVersion(payload, messageKey) {
+  const sender = game.users?.get(payload.userId);
+  // Players have no use for hearing about each other; only the GM's copy matters to them.
+  if (!game.user?.isGM && !sender?.isGM) return;
+  const theirs = typeof payload.version === "string" ? payload.version : "?";
+  const key = `${payload.userId}:${theirs}`;
+  if (warnedVersions.has(key)) return;
+  warnedVersions.add(key);
+  const message = game.i18n.format(messageKey, {
+    name: sender?.name ?? payload.userId,
+    theirs,
+    ours: moduleVersion() ?? "?"
+  });
+  console.warn(`${MODULE_ID} | ${message}`);
+  ui.notifications?.warn(message);
+}
+
+function matchesSchema(payload) {
+  const schema = SCHEMAS[payload.type];
+  if (!schema) return false;
+  return Object.entries(schema).every(([field, check]) => check(payload[field]));
+}
+
+/**
+ * Decide whether an incoming message may be handled. Returns null when it may, otherwise the
+ * reason it was dropped. Accepting a message records its sequence number, so anything older
+ * from the same client that arrives afterwards is refused.
+ */
+export function checkMessage(payload) {
+  if (!isObject(payload) || !isId(payload.type) || !isId(payload.userId)) return DROP_REASONS.MALFORMED;
+  if (payload.protocol !== PROTOCOL_VERSION) {
+    warnVersion(payload, "SOCIALENCOUNTERS.Protocol.Incompatible");
+    return DROP_REASONS.INCOMPATIBLE;
+  }
+  // Same wire format but a different release: still handled, though behaviour may differ.
+  if (payload.version !== moduleVersion()) warnVersion(payload, "SOCIALENCOUNTERS.Protocol.VersionMismatch");
+  if (!isId(payload.client) || !Number.isInteger(payload.seq) || payload.seq < 1) return DROP_REASONS.MALFORMED;
+  if (!optional(isId)(payload.session) || !matchesSchema(payload)) return DROP_REASONS.INVALID;
+
+  if (payload.seq <= (lastSequence.get(payload.client) ?? 0)) return DROP_REASONS.STALE;
+  lastSequence.set(payload.client, payload.seq);
+  return null;
+}
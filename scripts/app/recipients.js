@@ -0,0 +1,50 @@
+/**
+ * Recipients are either `null` (every connected client) or an array of player user ids.
+ * GMs always receive the viewer so a co-GM can follow along.
+ */
+export function normalizeRecipients(value) {
+  if (!Array.isArray(value)) return null;
+  return Array.from(new Set(value.filter((id) => typeof id === "string" && id.length > 0)));
+}
+
+export function isRecipient(recipients, user = game.user) {
+  if (!user) return false;
+  if (user.isGM) return true;
+  const normalized = normalizeRecipients(recipients);
+  if (normalized === null) return true;
+  return normalized.includes(user.id);
+}
+
+function playerUsers() {
+  return (game.users?.contents ?? Array.from(game.users ?? [])).filter((user) => !user.isGM);
+}
+
+export function updateRecipients(recipients, userId, included) {
+  const playerIds = playerUsers().map((user) => user.id);
+  const current = new Set(normalizeRecipients(recipients) ?? playerIds);
+  if (included) current.add(userId);
+  else current.delete(userId);
+
+  // Collapse back to "everyone" once every player is ticked so new players are included too.
+  if (playerIds.every((id) => current.has(id))) return null;
+  return Array.from(current);
+}
+
+export function getRecipientOptions(recipients) {
+  const normalized = normalizeRecipients(recipients);
+  return playerUsers().map((user) => ({
+    id: user.id,
+    name: user.name,
+    color: user.color?.css ?? user.color ?? "#888",
+    active: Boolean(user.active),
+    selected: normalized === null || normalized.includes(user.id)
+  }));
+}
+
+export function describeRecipients(recipients) {
+  const normalized = normalizeRecipients(recipients);
+  if (normalized === null) return game.i18n.localize("SOCIALENCOUNTERS.Recipients.Everyone");
+  if (!normalized.length) return game.i18n.localize("SOCIALENCOUNTERS.Recipients.Nobody");
+  const names = normalized.map((id) => game.users?.get(id)?.name).filter(Boolean);
+  return names.join(", ");
+}
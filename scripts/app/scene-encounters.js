@@ -0,0 +1,145 @@
+import { MODULE_ID } from "./constants.js";
+import { ImageViewer } from "./image-viewer.js";
+import { getPresets } from "./presets.js";
+import { canPresent } from "./presenter.js";
+import { parseLinks, serializeLinks } from "./utils.js";
+
+const FLAG_KEY = "encounter";
+const TEMPLATE_PATH = `modules/${MODULE_ID}/templates/scene-encounter-config.hbs`;
+
+function normalizeSceneEncounter(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const images = Array.isArray(raw.images)
+    ? raw.images.filter((path) => typeof path === "string" && path.trim()).map((path) => path.trim())
+    : [];
+  if (!images.length) return null;
+  const background = typeof raw.background === "string" && raw.background.trim() ? raw.background.trim() : null;
+  const startIndex = Number.isInteger(raw.startIndex) && raw.startIndex >= 0 ? Math.min(raw.startIndex, images.length - 1) : 0;
+  return {
+    images,
+    background,
+    startIndex,
+    links: parseLinks(raw.links, images),
+    autoLaunch: raw.autoLaunch !== false,
+    closeOnLeave: Boolean(raw.closeOnLeave)
+  };
+}
+
+export function getSceneEncounter(scene) {
+  return normalizeSceneEncounter(scene?.getFlag?.(MODULE_ID, FLAG_KEY));
+}
+
+/** Attach an encounter to `scene`, keeping its launch options unless new ones are given. */
+export async function setSceneEncounter(scene, { images, background = null, startIndex = 0, links = {}, ...options } = {}) {
+  if (!scene) return null;
+  const previous = getSceneEncounter(scene);
+  const encounter = normalizeSceneEncounter({
+    autoLaunch: previous?.autoLaunch,
+    closeOnLeave: previous?.closeOnLeave,
+    ...options,
+    images,
+    background,
+    startIndex,
+    links
+  });
+  if (!encounter) return null;
+  // Replace rather than merge, so images and links from an earlier encounter don't linger.
+  await scene.update({ [`flags.${MODULE_ID}.-=${FLAG_KEY}`]: null }, { render: false });
+  await scene.setFlag(MODULE_ID, FLAG_KEY, { ...encounter, links: serializeLinks(encounter.links) });
+  return encounter;
+}
+
+export async function clearSceneEncounter(scene) {
+  if (!scene) return;
+  await scene.unsetFlag(MODULE_ID, FLAG_KEY);
+}
+
+/** Show the encounter attached to `scene` to everyone. */
+export async function launchSceneEncounter(scene = game.scenes?.viewed) {
+  const encounter = getSceneEncounter(scene);
+  if (!encounter) {
+    ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.SceneEncounter.None"));
+    return null;
+  }
+  return ImageViewer.show({
+    images: encounter.images,
+    background: encounter.background,
+    startIndex: encounter.startIndex,
+    links: encounter.links,
+    broadcast: true
+  });
+}
+
+function showsEncounter(viewer, encounter) {
+  if (!viewer || !encounter || viewer.images.length !== encounter.images.length) return false;
+  return viewer.images.every((path, index) => path === encounter.images[index]);
+}
+
+/**
+ * Close the shared viewer when it shows the encounter of a scene other than `activeScene` that
+ * asks to be closed on leaving. Decided from the scene flags and what is on screen, so it works
+ * whoever launched the viewer and however it was launched.
+ */
+async function closeLeftEncounter(activeScene) {
+  const viewer = ImageViewer.active;
+  if (!viewer?.isPresenting || showsEncounter(viewer, getSceneEncounter(activeScene))) return;
+  const left = game.scenes?.find((scene) => {
+    if (scene === activeScene) return false;
+    const encounter = getSceneEncounter(scene);
+    return Boolean(encounter?.closeOnLeave) && showsEncounter(viewer, encounter);
+  });
+  if (left) await ImageViewer.closeActive({ broadcast: true });
+}
+
+/**
+ * Runs on every client when a scene is updated. The presenter closes an encounter left behind;
+ * only the user who activated the scene launches its encounter, so it is shown exactly once.
+ */
+export async function handleSceneActivation(scene, changes, options, userId) {
+  if (changes?.active !== true) return;
+  await closeLeftEncounter(scene);
+  if (userId !== game.user?.id || !canPresent()) return;
+  if (getSceneEncounter(scene)?.autoLaunch) await launchSceneEncounter(scene);
+}
+
+/** Adds the encounter section to the Scene configuration sheet. */
+export async function renderSceneEncounterConfig(app, element) {
+  const scene = app.document ?? app.object;
+  const root = element instanceof HTMLElement ? element : element?.[0];
+  if (!scene || !root || !game.user?.isGM) return;
+  const container = root.querySelector('.tab[data-tab="basics"]') ?? root.querySelector("form") ?? root;
+  container.querySelector(`.${MODULE_ID}-scene-encounter`)?.remove();
+
+  const encounter = getSceneEncounter(scene);
+  const html = await renderTemplate(TEMPLATE_PATH, {
+    flag: `flags.${MODULE_ID}.${FLAG_KEY}`,
+    encounter,
+    count: encounter?.images.length ?? 0,
+    start: (encounter?.startIndex ?? 0) + 1,
+    background: encounter?.background?.split("/").pop() ?? null,
+    presets: getPresets().map((preset) => ({ id: preset.id, name: preset.name }))
+  });
+  const template = document.createElement("template");
+  template.innerHTML = html.trim();
+  const section = template.content.firstElementChild;
+  container.append(section);
+
+  const update = (change) => change
+    .then(() => app.render())
+    .catch((error) => console.error(`${MODULE_ID} | Failed to update scene encounter`, error));
+  section.querySelector('[data-action="scene-encounter-attach"]')?.addEventListener("click", (event) => {
+    event.preventDefault();
+    const preset = getPresets().find((entry) => entry.id === section.querySelector('[name="scene-encounter-preset"]')?.value);
+    if (!preset) return;
+    update(setSceneEncounter(scene, preset));
+  });
+  section.querySelector('[data-action="scene-encounter-clear"]')?.addEventListener("click", (event) => {
+    event.preventDefault();
+    update(clearSceneEncounter(scene));
+  });
+  section.querySelector('[data-action="scene-encounter-launch"]')?.addEventListener("click", (event) => {
+    event.preventDefault();
+    launchSceneEncounter(scene).catch((error) => console.error(`${MODULE_ID} | Failed to launch scene encounter`, error));
+  });
+  app.setPosition?.({ height: "auto" });
+}
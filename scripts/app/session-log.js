@@ -0,0 +1,199 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+import { ImageViewer } from "./image-viewer.js";
+import { getNameplate, isNameplateStore } from "./nameplates.js";
+import { describeRecipients, normalizeRecipients } from "./recipients.js";
+
+const MAX_ENTRIES = 500;
+const TIMES_SEEN_FLAG = "timesSeen";
+
+function fileName(path) {
+  const base = String(path ?? "").split("/").pop() ?? "";
+  let decoded = base;
+  try {
+    decoded = decodeURIComponent(base);
+  } catch {
+    // Keep the raw segment when it isn't valid URI encoding.
+  }
+  return decoded.replace(/\.[^.]+$/, "") || base;
+}
+
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (typeof raw.path !== "string" || !raw.path || !Number.isFinite(raw.time)) return null;
+  return {
+    time: raw.time,
+    path: raw.path,
+    name: typeof raw.name === "string" && raw.name ? raw.name : fileName(raw.path),
+    background: typeof raw.background === "string" && raw.background ? raw.background : null,
+    recipients: normalizeRecipients(raw.recipients)
+  };
+}
+
+export function getSessionLog() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.SESSION_LOG);
+  if (!Array.isArray(stored)) return [];
+  return stored.map(normalizeEntry).filter(Boolean);
+}
+
+export async function clearSessionLog() {
+  await game.settings.set(MODULE_ID, SETTING_KEYS.SESSION_LOG, []);
+}
+
+/** The name the GM knows a portrait by: its nameplate, then its linked actor, then the file name. */
+function nameFor(path, links) {
+  const nameplate = getNameplate(path);
+  if (nameplate?.name) return nameplate.name;
+  const uuid = links?.[path];
+  return (uuid ? fromUuidSync(uuid)?.name : null) ?? fileName(path);
+}
+
+/**
+ * Hook handler for the viewer's show and index hooks. Only the presenting client keeps the log,
+ * so every image brought on screen is written down once however many players are watching.
+ */
+export function recordShown(state) {
+  const viewer = ImageViewer.active;
+  if (!viewer?.isPresenting || !state?.current) return;
+  const entry = normalizeEntry({
+    time: Date.now(),
+    path: state.current,
+    name: nameFor(state.current, viewer.links),
+    background: state.background,
+    recipients: state.recipients
+  });
+  if (!entry) return;
+  const log = [...getSessionLog(), entry].slice(-MAX_ENTRIES);
+  game.settings.set(MODULE_ID, SETTING_KEYS.SESSION_LOG, log).catch((error) =>
+    console.error(`${MODULE_ID} | Failed to record shown image`, error)
+  );
+}
+
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString(game.i18n.lang, { hour: "2-digit", minute: "2-digit" });
+}
+
+function recapSection(log) {
+  const escape = foundry.utils.escapeHTML;
+  const items = log.map((entry) => {
+    const details = [
+      entry.background ? game.i18n.format("SOCIALENCOUNTERS.SessionLog.Background", { name: escape(fileName(entry.background)) }) : null,
+      game.i18n.format("SOCIALENCOUNTERS.SessionLog.ShownTo", { recipients: escape(describeRecipients(entry.recipients)) })
+    ].filter(Boolean).join(" &middot; ");
+    return `<li><img src="${escape(entry.path)}" alt="" width="48" height="48"> <strong>${formatTime(entry.time)}</strong> ${escape(entry.name)}<br><em>${details}</em></li>`;
+  }).join("");
+  const started = new Date(log[0].time).toLocaleString(game.i18n.lang);
+  return `<h2>${escape(game.i18n.format("SOCIALENCOUNTERS.SessionLog.SectionTitle", { date: started }))}</h2><ol>${items}</ol>`;
+}
+
+/**
+ * Add this log's appearances to the totals kept on `entry` and render them as a table. Totals are
+ * stored as a `[{ path, name, count }]` list, since dotted paths can't be flag keys.
+ */
+function timesSeenContent(entry, log) {
+  const escape = foundry.utils.escapeHTML;
+  const stored = entry.getFlag(MODULE_ID, TIMES_SEEN_FLAG);
+  const counts = new Map();
+  for (const row of Array.isArray(stored) ? stored : []) {
+    if (typeof row?.path !== "string" || !row.path) continue;
+    counts.set(row.path, { path: row.path, name: String(row.name ?? ""), count: Number(row.count) || 0 });
+  }
+  for (const { path, name } of log) {
+    counts.set(path, { path, name, count: (counts.get(path)?.count ?? 0) + 1 });
+  }
+  const totals = Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  const rows = totals
+    .map(({ path, name, count }) =>
+      `<tr><td><img src="${escape(path)}" alt="" width="32" height="32"></td><td>${escape(name)}</td><td>${count}</td></tr>`
+    ).join("");
+  const content = `<table><thead><tr><th></th><th>${game.i18n.localize("SOCIALENCOUNTERS.SessionLog.Name")}</th>`
+    + `<th>${game.i18n.localize("SOCIALENCOUNTERS.SessionLog.TimesSeen")}</th></tr></thead><tbody>${rows}</tbody></table>`;
+  return { totals, content };
+}
+
+async function upsertPage(entry, name, content, { append = false } = {}) {
+  const page = entry.pages.getName(name);
+  if (!page) {
+    await entry.createEmbeddedDocuments("JournalEntryPage", [{
+      name,
+      type: "text",
+      text: { content, format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML }
+    }]);
+    return;
+  }
+  const next = append ? `${page.text?.content ?? ""}${content}` : content;
+  await page.update({ "text.content": next });
+}
+
+/**
+ * Write the session log into a journal: a chronological section appended to the recap page of
+ * `journalId` (a new entry when omitted), plus the running times-seen table when enabled.
+ */
+export async function writeRecap({ journalId = null, clear = true } = {}) {
+  const log = getSessionLog();
+  if (!log.length) {
+    ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.SessionLog.Empty"));
+    return null;
+  }
+
+  let entry = journalId ? game.journal?.get(journalId) : null;
+  if (entry && !entry.isOwner) entry = null;
+  if (!entry) {
+    if (!JournalEntry.canUserCreate(game.user)) {
+      ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.SessionLog.NoPermission"));
+      return null;
+    }
+    entry = await JournalEntry.create({ name: game.i18n.localize("SOCIALENCOUNTERS.SessionLog.JournalName") });
+  }
+
+  await upsertPage(entry, game.i18n.localize("SOCIALENCOUNTERS.SessionLog.PageName"), recapSection(log), { append: true });
+  if (game.settings.get(MODULE_ID, SETTING_KEYS.RECAP_TIMES_SEEN)) {
+    const { totals, content } = timesSeenContent(entry, log);
+    await upsertPage(entry, game.i18n.localize("SOCIALENCOUNTERS.SessionLog.TimesSeen"), content);
+    await entry.setFlag(MODULE_ID, TIMES_SEEN_FLAG, totals);
+  }
+  if (clear) await clearSessionLog();
+
+  ui.notifications?.info(game.i18n.format("SOCIALENCOUNTERS.SessionLog.Written", { name: entry.name }));
+  return entry;
+}
+
+/** Ask where the recap should go, then write it. */
+export async function promptRecap() {
+  const count = getSessionLog().length;
+  if (!count) {
+    ui.notifications?.warn(game.i18n.localize("SOCIALENCOUNTERS.SessionLog.Empty"));
+    return null;
+  }
+  const escape = foundry.utils.escapeHTML;
+  const journals = (game.journal?.contents ?? [])
+    .filter((entry) => entry.isOwner && !isNameplateStore(entry))
+    .map((entry) => `<option value="${entry.id}">${escape(entry.name)}</option>`)
+    .join("");
+  const DialogV2 = foundry.applications.api.DialogV2;
+  const options = await DialogV2.prompt({
+    window: { title: game.i18n.localize("SOCIALENCOUNTERS.SessionLog.WriteRecap") },
+    content: `
+      <p>${game.i18n.format("SOCIALENCOUNTERS.SessionLog.Count", { count })}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("SOCIALENCOUNTERS.SessionLog.Journal")}</label>
+        <select name="journalId">
+          <option value="">${game.i18n.localize("SOCIALENCOUNTERS.SessionLog.NewJournal")}</option>${journals}
+        </select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("SOCIALENCOUNTERS.SessionLog.ClearAfter")}</label>
+        <input type="checkbox" name="clear" checked>
+      </div>`,
+    ok: {
+      label: game.i18n.localize("SOCIALENCOUNTERS.SessionLog.Write"),
+      callback: (event, button) => ({
+        journalId: button.form.elements.journalId.value || null,
+        clear: button.form.elements.clear.checked
+      })
+    },
+    rejectClose: false
+  });
+  if (!options) return null;
+  return writeRecap(options);
+}
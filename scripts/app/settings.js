@@ -1,29 +1,238 @@
-import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+import { DISPLAY_MODES, MODULE_ID, NAVIGATION_MODES, SETTING_KEYS, TRANSITIONS } from "./constants.js";
 import { ImageFolderBrowser } from "./image-browser.js";
+import { ImageSourcesConfig } from "./image-sources-config.js";
+import { ImageViewer } from "./image-viewer.js";
+import { presenterRoleChoices } from "./presenter.js";
 import { log } from "./utils.js";
 
 export function registerModuleSettings() {
   log("Initializing module");
 
-  game.settings.register(MODULE_ID, SETTING_KEYS.NPC_FOLDER, {
-    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.NPCFolder.Name"),
-    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.NPCFolder.Hint"),
+  game.settings.registerMenu(MODULE_ID, SETTING_KEYS.IMAGE_SOURCES_MENU, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.ImageSources.Name"),
+    label: game.i18n.localize("SOCIALENCOUNTERS.Settings.ImageSources.Label"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.ImageSources.Hint"),
+    icon: "fas fa-folder-tree",
+    type: ImageSourcesConfig,
+    restricted: true
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.IMAGE_SOURCES, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.IMAGE_SOURCES, value)
+  });
+
+  // Superseded by the image source lists; still registered so older worlds can be read once.
+  for (const key of [SETTING_KEYS.NPC_FOLDER, SETTING_KEYS.BACKGROUND_FOLDER]) {
+    game.settings.register(MODULE_ID, key, {
+      scope: "world",
+      config: false,
+      type: String,
+      default: ""
+    });
+  }
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.FOLDER_DEPTH, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.FolderDepth.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.FolderDepth.Hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 10, step: 1 },
+    default: 3,
+    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.FOLDER_DEPTH, value)
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.PRESENTER_ROLE, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.PresenterRole.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.PresenterRole.Hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    choices: presenterRoleChoices(),
+    default: CONST.USER_ROLES.ASSISTANT,
+    // The scene control button is only added for users allowed to present.
+    requiresReload: true
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.NAVIGATION_MODE, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.NavigationMode.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.NavigationMode.Hint"),
     scope: "world",
     config: true,
     type: String,
-    default: "",
-    filePicker: "folder",
-    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.NPC_FOLDER, value)
+    choices: {
+      [NAVIGATION_MODES.LOCKED]: "SOCIALENCOUNTERS.Navigation.Locked",
+      [NAVIGATION_MODES.FREE]: "SOCIALENCOUNTERS.Navigation.Free"
+    },
+    default: NAVIGATION_MODES.LOCKED
   });
 
-  game.settings.register(MODULE_ID, SETTING_KEYS.BACKGROUND_FOLDER, {
-    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.BackgroundFolder.Name"),
-    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.BackgroundFolder.Hint"),
+  const transitionChoices = {
+    [TRANSITIONS.NONE]: "SOCIALENCOUNTERS.Transitions.None",
+    [TRANSITIONS.CROSSFADE]: "SOCIALENCOUNTERS.Transitions.Crossfade",
+    [TRANSITIONS.SLIDE]: "SOCIALENCOUNTERS.Transitions.Slide",
+    [TRANSITIONS.ZOOM]: "SOCIALENCOUNTERS.Transitions.Zoom",
+    [TRANSITIONS.DIP]: "SOCIALENCOUNTERS.Transitions.Dip"
+  };
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.PORTRAIT_TRANSITION, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.PortraitTransition.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.PortraitTransition.Hint"),
     scope: "world",
     config: true,
     type: String,
-    default: "",
-    filePicker: "folder",
-    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.BACKGROUND_FOLDER, value)
+    choices: transitionChoices,
+    default: TRANSITIONS.CROSSFADE,
+    onChange: () => ImageViewer.syncWithPlayers()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.BACKGROUND_TRANSITION, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.BackgroundTransition.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.BackgroundTransition.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: transitionChoices,
+    default: TRANSITIONS.DIP,
+    onChange: () => ImageViewer.syncWithPlayers()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.TRANSITION_DURATION, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.TransitionDuration.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.TransitionDuration.Hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 3000, step: 100 },
+    default: 600,
+    onChange: () => ImageViewer.syncWithPlayers()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.AUDIO_CUE_VOLUME, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.AudioCueVolume.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.AudioCueVolume.Hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 1, step: 0.05 },
+    default: 0.8,
+    onChange: () => ImageViewer.handleCueVolumeChange()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.DISPLAY_MODE, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.DisplayMode.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.DisplayMode.Hint"),
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      [DISPLAY_MODES.FULLSCREEN]: "SOCIALENCOUNTERS.DisplayMode.Fullscreen",
+      [DISPLAY_MODES.WINDOW]: "SOCIALENCOUNTERS.DisplayMode.Window",
+      [DISPLAY_MODES.MINIMIZED]: "SOCIALENCOUNTERS.DisplayMode.Minimized"
+    },
+    default: DISPLAY_MODES.FULLSCREEN,
+    onChange: () => ImageViewer.handleDisplayModeChange()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.VIEWER_WINDOW, {
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.PREFETCH_ON_LAUNCH, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.PrefetchOnLaunch.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.PrefetchOnLaunch.Hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Kept on the presenter's client until it is written to a journal, so a reload doesn't lose it.
+  game.settings.register(MODULE_ID, SETTING_KEYS.SESSION_LOG, {
+    scope: "client",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.SESSION_LOG, value)
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.RECAP_TIMES_SEEN, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.RecapTimesSeen.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.RecapTimesSeen.Hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.PLAYER_PINGS, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.PlayerPings.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.PlayerPings.Hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => ImageViewer.handlePingSettingChange()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.SHOW_NAMEPLATES, {
+    name: game.i18n.localize("SOCIALENCOUNTERS.Settings.ShowNameplates.Name"),
+    hint: game.i18n.localize("SOCIALENCOUNTERS.Settings.ShowNameplates.Hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: () => ImageViewer.handleNameplatesChange()
+  });
+
+  // Only the public copy of each nameplate; the names themselves are kept in a GM-only journal entry.
+  game.settings.register(MODULE_ID, SETTING_KEYS.NAMEPLATES, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => ImageViewer.handleNameplatesChange()
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.AUDIO_CUES, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: (value) => {
+      ImageViewer.handleAudioCuesChange();
+      ImageFolderBrowser.handleSettingChange(SETTING_KEYS.AUDIO_CUES, value);
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.ACTOR_SOURCES, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { sources: [], art: "portrait" },
+    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.ACTOR_SOURCES, value)
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.IMAGE_TAGS, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.IMAGE_TAGS, value)
+  });
+
+  game.settings.register(MODULE_ID, SETTING_KEYS.PRESETS, {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: (value) => ImageFolderBrowser.handleSettingChange(SETTING_KEYS.PRESETS, value)
   });
 }
@@ -0,0 +1,41 @@
+import { MODULE_ID, SETTING_KEYS } from "./constants.js";
+
+export function normalizeTag(value) {
+  if (typeof value !== "string") return "";
+  return value.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function normalizeTagList(value) {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value.map(normalizeTag).filter(Boolean))).sort();
+}
+
+/** Splits the comma separated text typed into the tag editor. */
+export function parseTags(text) {
+  return normalizeTagList(String(text ?? "").split(","));
+}
+
+export function getImageTags() {
+  const stored = game.settings.get(MODULE_ID, SETTING_KEYS.IMAGE_TAGS);
+  if (!stored || typeof stored !== "object") return {};
+  const tags = {};
+  for (const [path, raw] of Object.entries(stored)) {
+    const list = normalizeTagList(raw);
+    if (list.length) tags[path] = list;
+  }
+  return tags;
+}
+
+export function getAllTags(imageTags = getImageTags()) {
+  return Array.from(new Set(Object.values(imageTags).flat())).sort();
+}
+
+export async function setImageTags(path, tags) {
+  if (!game.user?.isGM || typeof path !== "string" || !path) return null;
+  const imageTags = getImageTags();
+  const list = normalizeTagList(tags);
+  if (list.length) imageTags[path] = list;
+  else delete imageTags[path];
+  await game.settings.set(MODULE_ID, SETTING_KEYS.IMAGE_TAGS, imageTags);
+  return list;
+}
@@ -0,0 +1,61 @@
+import { MODULE_ID, SETTING_KEYS, TRANSITIONS } from "./constants.js";
+
+const DEFAULT_DURATION_MS = 600;
+const MAX_DURATION_MS = 5000;
+
+function pickTransition(value) {
+  return Object.values(TRANSITIONS).includes(value) ? value : TRANSITIONS.CROSSFADE;
+}
+
+export function normalizeTransition(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const duration = Number(source.duration);
+  return {
+    portrait: pickTransition(source.portrait),
+    background: pickTransition(source.background),
+    duration: Number.isFinite(duration) ? Math.min(Math.max(Math.round(duration), 0), MAX_DURATION_MS) : DEFAULT_DURATION_MS
+  };
+}
+
+/** The GM's configured transitions; players use whatever arrived with the last payload instead. */
+export function getTransitionSettings() {
+  return normalizeTransition({
+    portrait: game.settings.get(MODULE_ID, SETTING_KEYS.PORTRAIT_TRANSITION),
+    background: game.settings.get(MODULE_ID, SETTING_KEYS.BACKGROUND_TRANSITION),
+    duration: game.settings.get(MODULE_ID, SETTING_KEYS.TRANSITION_DURATION)
+  });
+}
+
+function prefersReducedMotion() {
+  return Boolean(globalThis.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches);
+}
+
+/**
+ * Replace the current layer of `container` with `incoming` (or nothing). The outgoing layer
+ * stays in place, marked `is-leaving`, until the CSS animation for `type` has finished.
+ */
+export function swapLayers(container, incoming, { type = TRANSITIONS.NONE, duration = 0, direction = "forward" } = {}) {
+  const outgoing = Array.from(container.children).filter((layer) => !layer.classList.contains("is-leaving"));
+  if (incoming) container.append(incoming);
+
+  const animate = type !== TRANSITIONS.NONE && duration > 0 && outgoing.length > 0 && !prefersReducedMotion();
+  if (!animate) {
+    for (const layer of outgoing) layer.remove();
+    return;
+  }
+
+  container.dataset.transition = type;
+  container.dataset.direction = direction;
+  container.style.setProperty("--transition-duration", `${duration}ms`);
+  incoming?.classList.add("is-entering");
+  for (const layer of outgoing) {
+    layer.classList.add("is-leaving");
+    // A fading portrait should not keep talking over the new one.
+    for (const video of layer.querySelectorAll("video")) video.muted = true;
+  }
+
+  setTimeout(() => {
+    for (const layer of outgoing) layer.remove();
+    incoming?.classList.remove("is-entering");
+  }, duration);
+}
@@ -1,4 +1,4 @@
-import { MODULE_ID, IMAGE_EXTENSIONS } from "./constants.js";
+import { MODULE_ID, IMAGE_EXTENSIONS, VIDEO_EXTENSIONS } from "./constants.js";
 
 export function log(...args) {
   console.log(`${MODULE_ID} |`, ...args);
@@ -10,7 +10,33 @@ export function isMediaFile(path) {
   return IMAGE_EXTENSIONS.some((ext) => clean.endsWith(ext));
 }
 
+export function isVideoFile(path) {
+  const lower = String(path ?? "").trim().toLowerCase();
+  const clean = lower.split(/[?#]/)[0];
+  return VIDEO_EXTENSIONS.some((ext) => clean.endsWith(ext));
+}
+
 export function getFilePickerClass() {
   const implementation = foundry?.applications?.apps?.FilePicker?.implementation;
   return implementation ?? globalThis.FilePicker;
 }
+
+/**
+ * Actor links as a path → uuid map, read from either the stored `[{ path, uuid }]` list or the
+ * older object form. Only links for `images` are kept.
+ */
+export function parseLinks(raw, images) {
+  const entries = Array.isArray(raw)
+    ? raw.map((link) => [link?.path, link?.uuid])
+    : Object.entries(raw && typeof raw === "object" ? raw : {});
+  const links = {};
+  for (const [path, uuid] of entries) {
+    if (images.includes(path) && typeof uuid === "string" && uuid) links[path] = uuid;
+  }
+  return links;
+}
+
+/** Actor links in their stored form; paths contain dots, which document updates would expand as keys. */
+export function serializeLinks(links) {
+  return Object.entries(links ?? {}).map(([path, uuid]) => ({ path, uuid }));
+}
@@ -0,0 +1,106 @@
+const HARD_SEEK_THRESHOLD = 1;
+const SOFT_DRIFT_THRESHOLD = 0.15;
+const CATCH_UP_RATE = 0.05;
+
+// Pending "back to normal speed" timers, so a catch-up ends once the drift is absorbed.
+const rateResets = new WeakMap();
+
+function now() {
+  return game?.time?.serverTime ?? Date.now();
+}
+
+export function createVideoState(path = null) {
+  return {
+    path,
+    paused: false,
+    loop: true,
+    muted: false,
+    currentTime: 0,
+    serverTime: now()
+  };
+}
+
+export function normalizeVideoState(raw, path = null) {
+  const base = createVideoState(path);
+  if (!raw || typeof raw !== "object") return base;
+  return {
+    path: typeof raw.path === "string" ? raw.path : path,
+    paused: Boolean(raw.paused),
+    loop: raw.loop !== false,
+    muted: Boolean(raw.muted),
+    currentTime: Number.isFinite(raw.currentTime) && raw.currentTime >= 0 ? raw.currentTime : 0,
+    serverTime: Number.isFinite(raw.serverTime) ? raw.serverTime : base.serverTime
+  };
+}
+
+export function captureVideoState(video, state) {
+  return {
+    ...state,
+    paused: video.paused,
+    currentTime: video.currentTime,
+    serverTime: now()
+  };
+}
+
+/**
+ * Where playback should be right now, given the last state the GM published.
+ * Server time is used so every client extrapolates from the same clock.
+ */
+export function expectedVideoTime(state, duration) {
+  if (state.paused) return state.currentTime;
+  const elapsed = Math.max(now() - state.serverTime, 0) / 1000;
+  const target = state.currentTime + elapsed;
+  if (!Number.isFinite(duration) || duration <= 0) return target;
+  return state.loop ? target % duration : Math.min(target, duration);
+}
+
+export function applyVideoState(video, state) {
+  if (!video) return;
+  video.loop = state.loop;
+  video.muted = state.muted;
+  syncVideoTime(video, state);
+
+  if (state.paused) {
+    video.pause();
+    return;
+  }
+
+  const playback = video.play();
+  playback?.catch?.(() => {
+    // Autoplay with sound can be blocked until the user interacts; fall back to muted playback.
+    video.muted = true;
+    video.play().catch(() => {});
+  });
+}
+
+function resetPlaybackRate(video) {
+  clearTimeout(rateResets.get(video));
+  rateResets.delete(video);
+  video.playbackRate = 1;
+}
+
+export function syncVideoTime(video, state) {
+  if (!video || !Number.isFinite(video.duration)) return;
+  const drift = expectedVideoTime(state, video.duration) - video.currentTime;
+  const distance = Math.abs(drift);
+
+  if (state.paused || distance >= HARD_SEEK_THRESHOLD) {
+    video.currentTime = expectedVideoTime(state, video.duration);
+    resetPlaybackRate(video);
+    return;
+  }
+
+  if (distance < SOFT_DRIFT_THRESHOLD) {
+    resetPlaybackRate(video);
+    return;
+  }
+
+  // Small drift is absorbed by nudging the playback rate instead of a visible seek, for just as
+  // long as it takes to close the gap; waiting for the next heartbeat would overshoot.
+  resetPlaybackRate(video);
+  video.playbackRate = drift > 0 ? 1 + CATCH_UP_RATE : 1 - CATCH_UP_RATE;
+  rateResets.set(video, setTimeout(() => {
+    rateResets.delete(video);
+    video.playbackRate = 1;
+  }, (distance / CATCH_UP_RATE) * 1000));
+}
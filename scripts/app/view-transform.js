@@ -0,0 +1,71 @@
+const MIN_SCALE = 1;
+const MAX_SCALE = 5;
+
+function now() {
+  return game?.time?.serverTime ?? Date.now();
+}
+
+/**
+ * The GM's framing of the stage. Offsets are fractions of the stage size so the same framing
+ * lands on the same detail whatever each player's screen resolution is.
+ */
+export function createViewTransform() {
+  return { scale: 1, x: 0, y: 0, kenBurns: false, startedAt: 0 };
+}
+
+function clampScale(scale) {
+  return Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+}
+
+// Keep the zoomed content covering the whole stage rather than sliding off an edge.
+function clampOffset(offset, scale) {
+  const limit = (scale - 1) / 2;
+  return Math.min(Math.max(offset, -limit), limit);
+}
+
+export function normalizeViewTransform(raw) {
+  const base = createViewTransform();
+  if (!raw || typeof raw !== "object") return base;
+  const scale = Number.isFinite(raw.scale) ? clampScale(raw.scale) : base.scale;
+  return {
+    scale,
+    x: Number.isFinite(raw.x) ? clampOffset(raw.x, scale) : 0,
+    y: Number.isFinite(raw.y) ? clampOffset(raw.y, scale) : 0,
+    kenBurns: Boolean(raw.kenBurns),
+    startedAt: Number.isFinite(raw.startedAt) ? raw.startedAt : 0
+  };
+}
+
+export function isDefaultView(view) {
+  return !view.kenBurns && view.scale === 1 && view.x === 0 && view.y === 0;
+}
+
+/** Zoom by `factor`, keeping the content under `point` (relative to the stage centre) in place. */
+export function zoomView(view, factor, point = { x: 0, y: 0 }) {
+  const scale = clampScale(view.scale * factor);
+  const ratio = scale / view.scale;
+  return normalizeViewTransform({
+    scale,
+    x: point.x - (point.x - view.x) * ratio,
+    y: point.y - (point.y - view.y) * ratio
+  });
+}
+
+export function panView(view, dx, dy) {
+  return normalizeViewTransform({ ...view, kenBurns: false, x: view.x + dx, y: view.y + dy });
+}
+
+export function startKenBurns() {
+  return { ...createViewTransform(), kenBurns: true, startedAt: now() };
+}
+
+export function viewStyle(view) {
+  if (view.kenBurns) {
+    // A negative delay lets late joiners pick the slow push-in up at the same point.
+    return { transform: "", animationDelay: `-${Math.max(now() - view.startedAt, 0)}ms` };
+  }
+  return {
+    transform: `translate(${view.x * 100}%, ${view.y * 100}%) scale(${view.scale})`,
+    animationDelay: ""
+  };
+}
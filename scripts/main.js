@@ -1,7 +1,12 @@
+import { HOOKS, MODULE_ID } from './app/constants.js';
+import { createApi } from './app/api.js';
 import { ImageFolderBrowser } from './app/image-browser.js';
 import { ImageViewer } from './app/image-viewer.js';
 import { registerModuleSettings } from './app/settings.js';
 import { registerSceneControls } from './app/controls.js';
+import { handleSceneActivation, renderSceneEncounterConfig } from './app/scene-encounters.js';
+import { recordShown } from './app/session-log.js';
+import { isNameplateStore, migrateNameplates } from './app/nameplates.js';
 
 globalThis.SocialEncounters = {
   openBrowser: () => ImageFolderBrowser.show()
@@ -9,10 +14,28 @@ globalThis.SocialEncounters = {
 
 Hooks.once('init', () => {
   registerModuleSettings();
+  const module = game.modules.get(MODULE_ID);
+  if (module) module.api = createApi();
+  void ImageViewer.preloadTemplates();
+  void ImageFolderBrowser.preloadTemplates();
 });
 
 Hooks.once('ready', () => {
   ImageViewer.registerSocket();
+  ImageViewer.requestState({ force: true });
+  migrateNameplates().catch((error) => console.error(`${MODULE_ID} | Failed to migrate nameplates`, error));
 });
 
 Hooks.on('getSceneControlButtons', registerSceneControls);
+Hooks.on('userConnected', () => ImageViewer.handleUserConnected());
+Hooks.on('updateScene', (...args) => {
+  handleSceneActivation(...args).catch((error) => console.error(`${MODULE_ID} | Failed to handle scene activation`, error));
+});
+Hooks.on('renderSceneConfig', (...args) => {
+  renderSceneEncounterConfig(...args).catch((error) => console.error(`${MODULE_ID} | Failed to render scene encounter`, error));
+});
+Hooks.on('updateJournalEntry', (entry) => {
+  if (isNameplateStore(entry)) ImageViewer.handleNameplatesChange();
+});
+Hooks.on(HOOKS.SHOW, recordShown);
+Hooks.on(HOOKS.INDEX_CHANGED, recordShown);